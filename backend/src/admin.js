@@ -0,0 +1,376 @@
+import bodyParser from 'body-parser';
+import uuid from 'uuid';
+
+import { getStore } from './storage';
+import { leaderboardIndex } from './leaderboardIndex';
+import { requireAdmin } from './auth';
+import { intParam, numberParam } from './params';
+import { toCSV, parseCSV } from './csv';
+import { sealPrivateAttributes, openPrivateAttributes } from './privacy';
+import { boardParam } from './boards';
+import { deleteReplay } from './replays';
+import { validate, schemas } from './schema';
+
+// Largest page of records an admin can ask for
+const maxLimit = 500;
+
+// The fields admins see, private attributes stay out of listings
+const adminRecord = ({ _id, name, score, dateCreated, hidden, flagged, unverified }) => ({
+    id: _id,
+    name,
+    score,
+    dateCreated,
+    hidden: !!hidden,
+    // the record's replay didn't match its score, see replays.js
+    flagged: !!flagged,
+    // the record was saved without a replay, so its score can't be checked
+    unverified: !!unverified,
+});
+
+const adminRecordSchema = {
+    type: 'object',
+    required: ['id', 'name', 'score', 'dateCreated', 'hidden', 'flagged', 'unverified'],
+    properties: {
+        ...schemas.record.properties,
+        hidden: { type: 'boolean' },
+        flagged: { type: 'boolean', description: 'true when the record\'s replay didn\'t match its score' },
+        unverified: { type: 'boolean', description: 'true when the record was saved without a replay' },
+    },
+};
+
+// A record in a dump
+const exportRecordSchema = {
+    type: 'object',
+    properties: {
+        ...adminRecordSchema.properties,
+        dateCreated: { type: 'number' },
+        playerId: { type: 'string' },
+        privateAttributes: { type: 'object', additionalProperties: { type: 'string' } },
+    },
+};
+
+// Columns in leaderboard dumps
+const exportColumns = ['id', 'name', 'score', 'dateCreated', 'hidden', 'playerId'];
+
+// Largest dump that can be imported
+const importLimit = '10mb';
+
+// The fields in a dump, private attributes are only
+// included when they're asked for
+const exportRecord = (record, includePrivate) => ({
+    ...adminRecord(record),
+    playerId: record.playerId,
+    ...(includePrivate ? { privateAttributes: openPrivateAttributes(record.privateAttributes) } : {}),
+});
+
+// Turn a record from a JSON or CSV dump back into a stored record,
+// returns { id, record } or { error }
+const importRecord = (row) => {
+    if (!row || typeof row !== 'object') {
+        return { error: 'record must be an object' };
+    }
+
+    const score = numberParam(row.score);
+    const dateCreated = numberParam(row.dateCreated);
+
+    if (row.id && !/^[A-Za-z0-9_-]{1,64}$/.test(row.id)) {
+        return { error: 'id must be 1 to 64 letters, numbers, - or _' };
+    }
+    if (typeof row.name !== 'string' || !row.name) {
+        return { error: 'name must be a non-empty string' };
+    }
+    if (!isFinite(score)) {
+        return { error: 'score must be a number' };
+    }
+    if (!isFinite(dateCreated)) {
+        return { error: 'dateCreated must be a timestamp in seconds' };
+    }
+
+    // CSV dumps hold private attributes as JSON
+    let { privateAttributes } = row;
+    if (typeof privateAttributes === 'string') {
+        try {
+            privateAttributes = privateAttributes ? JSON.parse(privateAttributes) : undefined;
+        } catch (err) {
+            return { error: 'privateAttributes must be JSON' };
+        }
+    }
+
+    return {
+        id: row.id || uuid.v4(),
+        record: {
+            name: row.name,
+            score,
+            dateCreated,
+            ...(row.hidden === true || row.hidden === 'true' ? { hidden: true } : {}),
+            ...(row.playerId ? { playerId: row.playerId } : {}),
+            ...sealPrivateAttributes(privateAttributes),
+        },
+    };
+}
+
+// Body parsers for imports, which are larger than other requests.
+// Mount these before the app's own body parsers, see server.js
+const importParsers = [
+    requireAdmin,
+    bodyParser.json({ limit: importLimit }),
+    bodyParser.text({ type: 'text/csv', limit: importLimit }),
+];
+
+// Read the board from the query string, for routes that aren't
+// under /leaderboard/:board. Uses the default board if there's none.
+const boardQuery = (req, res, next) => {
+    req.params.board = req.query.board;
+    boardParam(req, res, next);
+}
+
+// Moderation routes for the leaderboard. Every route
+// needs the admin secret, see auth.js
+//
+// Every route takes a board query parameter to pick the leaderboard,
+// the default board is used without one.
+export default function (app) {
+    app.use('/admin', requireAdmin);
+    app.use('/admin/leaderboard', boardQuery);
+
+    app.get('/admin/leaderboard', validate({
+        summary: 'List records',
+        security: 'admin',
+        query: {
+            board: schemas.board,
+            hidden: {
+                type: 'string',
+                enum: ['true', 'false'],
+                description: 'true for only hidden records, false for only visible ones',
+            },
+            ...schemas.page(100, maxLimit),
+        },
+        responses: {
+            200: schemas.success({
+                offset: { type: 'integer' },
+                limit: { type: 'integer' },
+                total: { type: 'integer' },
+                records: { type: 'array', items: adminRecordSchema },
+            }),
+            404: 'Unknown leaderboard',
+        },
+    }), async (req, res) => {
+        const offset = intParam(req.query.offset, 0);
+        const limit = Math.min(intParam(req.query.limit, 100), maxLimit);
+
+        const rawRecords = await getStore().getAll(req.board.collection);
+        const records = rawRecords
+            .map(adminRecord)
+            .filter(r => typeof req.query.hidden === 'undefined' || String(r.hidden) === req.query.hidden)
+            .sort((a, b) => b.score - a.score);
+
+        res.status(200).json({
+            success: true,
+            offset,
+            limit,
+            total: records.length,
+            records: records.slice(offset, offset + limit),
+        });
+    });
+
+    // Change a record's visibility
+    const setHiddenSpec = hidden => validate({
+        summary: hidden ? 'Hide a record' : 'Show a hidden record',
+        security: 'admin',
+        params: { id: { type: 'string' } },
+        query: { board: schemas.board },
+        responses: {
+            200: schemas.success({ record: adminRecordSchema }),
+            404: 'Record not found, or unknown leaderboard',
+        },
+    });
+
+    const setHidden = hidden => async (req, res) => {
+        const database = getStore();
+        const record = await database.get(req.board.collection, req.params.id);
+
+        if (!record) {
+            res.status(404).json({
+                success: false,
+                error: 'Record not found',
+            });
+            return;
+        }
+
+        await database.update(req.board.collection, req.params.id, { hidden });
+        leaderboardIndex(req.board.collection).invalidate();
+
+        res.status(200).json({
+            success: true,
+            record: adminRecord({ ...record, _id: req.params.id, hidden }),
+        });
+    };
+
+    // Download every record on a board
+    app.get('/admin/leaderboard/export', validate({
+        summary: 'Export records',
+        security: 'admin',
+        query: {
+            board: schemas.board,
+            format: { type: 'string', enum: ['json', 'csv'], description: 'Format of the dump (default json)' },
+            includePrivate: {
+                type: 'string',
+                enum: ['true', 'false'],
+                description: 'true to include private attributes',
+            },
+        },
+        produces: ['application/json', 'text/csv'],
+        responses: {
+            200: {
+                type: 'object',
+                required: ['board', 'dateExported', 'records'],
+                properties: {
+                    board: { type: 'string' },
+                    dateExported: { type: 'integer' },
+                    records: { type: 'array', items: exportRecordSchema },
+                },
+            },
+            404: 'Unknown leaderboard',
+        },
+    }), async (req, res) => {
+        const includePrivate = req.query.includePrivate === 'true';
+        const format = req.query.format === 'csv' ? 'csv' : 'json';
+
+        const rawRecords = await getStore().getAll(req.board.collection);
+        const records = rawRecords
+            .map(record => exportRecord(record, includePrivate))
+            .sort((a, b) => a.dateCreated - b.dateCreated);
+
+        const filename = `leaderboard-${req.board.key}-${Math.round(Date.now() / 1000)}.${format}`;
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+        if (format === 'csv') {
+            const columns = includePrivate ? [...exportColumns, 'privateAttributes'] : exportColumns;
+            const rows = records.map(record => ({
+                ...record,
+                privateAttributes: record.privateAttributes && JSON.stringify(record.privateAttributes),
+            }));
+
+            res.status(200).type('text/csv').send(toCSV(rows, columns));
+            return;
+        }
+
+        res.status(200).json({
+            board: req.board.key,
+            dateExported: Math.round(Date.now() / 1000),
+            records,
+        });
+    });
+
+    // Load records from a dump made by the export route. Send the JSON
+    // dump as is, or a CSV dump with Content-Type: text/csv.
+    // Records keep their ids, so importing the same dump twice is safe.
+    //
+    // Records are checked one by one, and the ones that
+    // can't be imported are listed as skipped
+    app.post('/admin/leaderboard/import', validate({
+        summary: 'Import records',
+        description: 'Send a JSON dump from the export route, or a CSV dump with Content-Type: text/csv',
+        security: 'admin',
+        query: {
+            board: schemas.board,
+            mode: {
+                type: 'string',
+                enum: ['merge', 'replace'],
+                description: 'merge (default) adds to the board, replace clears the board first',
+            },
+        },
+        body: {
+            type: 'object',
+            required: ['records'],
+            properties: {
+                records: { type: 'array', description: 'Records as the export route lists them' },
+            },
+        },
+        responses: {
+            200: schemas.success({
+                board: { type: 'string' },
+                imported: { type: 'integer' },
+                skipped: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            index: { type: 'integer' },
+                            error: { type: 'string' },
+                        },
+                    },
+                },
+            }),
+            404: 'Unknown leaderboard',
+        },
+    }), async (req, res) => {
+        const rows = typeof req.body === 'string' ?
+        parseCSV(req.body) :
+        req.body.records;
+
+        const parsed = rows.map(importRecord);
+        const skipped = parsed
+            .map(({ error }, index) => ({ index, error }))
+            .filter(({ error }) => error);
+
+        const database = getStore();
+
+        if (req.query.mode === 'replace') {
+            const existing = await database.getAll(req.board.collection);
+            for (const record of existing) {
+                await database.delete(req.board.collection, record._id);
+                await deleteReplay(req.board.replayCollection, record._id);
+            }
+        }
+
+        const records = parsed.filter(({ error }) => !error);
+        for (const { id, record } of records) {
+            await database.set(req.board.collection, id, record);
+        }
+
+        leaderboardIndex(req.board.collection).invalidate();
+
+        res.status(200).json({
+            success: true,
+            board: req.board.key,
+            imported: records.length,
+            skipped,
+        });
+    });
+
+    app.post('/admin/leaderboard/:id/hide', setHiddenSpec(true), setHidden(true));
+    app.post('/admin/leaderboard/:id/unhide', setHiddenSpec(false), setHidden(false));
+
+    app.delete('/admin/leaderboard/:id', validate({
+        summary: 'Delete a record',
+        security: 'admin',
+        params: { id: { type: 'string' } },
+        query: { board: schemas.board },
+        responses: {
+            200: schemas.success({}),
+            404: 'Record not found, or unknown leaderboard',
+        },
+    }), async (req, res) => {
+        const database = getStore();
+        const record = await database.get(req.board.collection, req.params.id);
+
+        if (!record) {
+            res.status(404).json({
+                success: false,
+                error: 'Record not found',
+            });
+            return;
+        }
+
+        await database.delete(req.board.collection, req.params.id);
+        await deleteReplay(req.board.replayCollection, req.params.id);
+        leaderboardIndex(req.board.collection).invalidate();
+
+        res.status(200).json({
+            success: true,
+        });
+    });
+}
+
+export { importParsers };
@@ -0,0 +1,295 @@
+import uuid from 'uuid';
+
+import { getStore } from './storage';
+import { requireAdmin } from './auth';
+import rateLimit from './rateLimit';
+import { intParam } from './params';
+import { validate, schemas } from './schema';
+
+// Gameplay analytics. The game sends batches of events, each tagged with
+// the id of the run (session) it happened in. Raw batches are kept in the
+// 'analyticsEvents' collection, and each session is summed up in the
+// 'analyticsSessions' collection, which the summary routes read from.
+
+const eventTypes = [
+    'session_start',
+    'session_end',
+    'death',
+    'pause',
+    'resume',
+    'state_change',
+];
+
+// Limits on what can be sent in one batch
+const maxBatchSize = 50;
+const maxDataFields = 10;
+
+// Batches allowed per minute from one ip address
+const eventLimitPerIp = parseInt(process.env.ANALYTICS_LIMIT_PER_IP, 10) || 30;
+
+const eventSchema = {
+    type: 'object',
+    required: ['type', 'sessionId', 'time'],
+    properties: {
+        type: { type: 'string', enum: eventTypes },
+        sessionId: {
+            type: 'string',
+            pattern: '^[A-Za-z0-9_-]{8,64}$',
+            'x-pattern': '8 to 64 letters, numbers, - or _',
+            description: 'Id of the run the event happened in',
+        },
+        time: { type: 'number', description: 'Time of the event, in milliseconds' },
+        data: {
+            type: 'object',
+            maxProperties: maxDataFields,
+            properties: {
+                score: { type: 'number', minimum: 0, description: 'Final score, on session_end' },
+            },
+            additionalProperties: {
+                anyOf: [{ type: 'string' }, { type: 'number' }, { type: 'boolean' }],
+                nullable: true,
+            },
+        },
+    },
+};
+
+// since and until pick the time window of every summary route
+const windowQuery = {
+    since: { type: 'integer', minimum: 0, description: 'Start of the time window, in seconds' },
+    until: { type: 'integer', minimum: 0, description: 'End of the time window, in seconds' },
+};
+
+// How a list of values is summarized
+const distributionSchema = {
+    runs: { type: 'integer' },
+    median: { type: 'number', nullable: true },
+    distribution: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                min: { type: 'number' },
+                max: { type: 'number' },
+                count: { type: 'integer' },
+            },
+        },
+    },
+};
+
+const bucketsQuery = {
+    buckets: {
+        type: 'integer',
+        minimum: 0,
+        description: 'Number of buckets in the distribution (default 10, max 100)',
+    },
+};
+
+// Fold a session's events into its summary
+const summarize = (session, events) => events
+    .sort((a, b) => a.time - b.time)
+    .reduce((summary, { type, time, data = {} }) => {
+        if (type === 'session_start') {
+            summary.started = Math.min(summary.started || time, time);
+        }
+        if (type === 'session_end') {
+            summary.ended = time;
+            if (typeof data.score === 'number') { summary.score = data.score; }
+        }
+        if (type === 'death') { summary.deaths += 1; }
+        if (type === 'pause') { summary.pauses += 1; }
+        if (type === 'state_change' && typeof data.to === 'string') {
+            summary.lastState = data.to;
+        }
+
+        summary.lastEvent = Math.max(summary.lastEvent || time, time);
+        // events can arrive out of order in later batches,
+        // so an end can be earlier than the start
+        summary.duration = summary.started ?
+        Math.max(0, ((summary.ended || summary.lastEvent) - summary.started) / 1000) :
+        0;
+
+        return summary;
+    }, {
+        started: null,
+        ended: null,
+        lastEvent: null,
+        duration: 0,
+        deaths: 0,
+        pauses: 0,
+        score: null,
+        lastState: null,
+        ...session,
+    });
+
+const median = (values) => {
+    if (values.length === 0) { return null; }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Split values into equal width buckets from 0 to the largest value
+const distribution = (values, bucketCount) => {
+    const max = values.reduce((a, b) => Math.max(a, b), 0);
+    const width = Math.max(1, Math.ceil((max + 1) / bucketCount));
+
+    const buckets = Array.from({ length: bucketCount }, (_, i) => ({
+        min: i * width,
+        max: (i + 1) * width,
+        count: 0,
+    }));
+
+    values.forEach((value) => {
+        const i = Math.max(0, Math.min(bucketCount - 1, Math.floor(value / width)));
+        buckets[i].count += 1;
+    });
+
+    return buckets;
+}
+
+// Load the session summaries received in a time window.
+// since and until are query parameters in seconds
+const loadSessions = async (query) => {
+    const since = intParam(query.since, 0);
+    const until = intParam(query.until, Infinity);
+
+    const sessions = await getStore().getAll('analyticsSessions');
+    return sessions
+        .filter(s => s.dateCreated >= since && s.dateCreated <= until);
+}
+
+export default function (app) {
+    const eventLimit = rateLimit({
+        windowMs: 60 * 1000,
+        max: eventLimitPerIp,
+        key: req => req.ip,
+        message: 'Too many events sent, try again later',
+    });
+
+    app.post('/analytics/events', eventLimit, validate({
+        summary: 'Send a batch of gameplay events',
+        body: {
+            type: 'object',
+            required: ['events'],
+            properties: {
+                events: { type: 'array', minItems: 1, maxItems: maxBatchSize, items: eventSchema },
+            },
+        },
+        responses: {
+            200: schemas.success({ received: { type: 'integer' } }),
+            429: 'Too many events sent',
+        },
+    }), async (req, res) => {
+        const { events } = req.body;
+
+        const database = getStore();
+        const now = Math.round(Date.now() / 1000);
+
+        const batch = events.map(({ type, sessionId, time, data }) => ({ type, sessionId, time, data }));
+        await database.set('analyticsEvents', uuid.v4(), {
+            events: batch,
+            dateCreated: now,
+        });
+
+        // Update the summary of every session in the batch
+        const sessionIds = [...new Set(batch.map(e => e.sessionId))];
+        await Promise.all(sessionIds.map(async (sessionId) => {
+            const session = { ...(await database.get('analyticsSessions', sessionId) || { dateCreated: now }) };
+            delete session._id;
+
+            const summary = summarize(session, batch.filter(e => e.sessionId === sessionId));
+            await database.set('analyticsSessions', sessionId, summary);
+        }));
+
+        res.status(200).json({
+            success: true,
+            received: batch.length,
+        });
+    });
+
+    // Summary routes are for the game's owner only
+    app.use('/analytics/summary', requireAdmin);
+
+    // Session counts
+    app.get('/analytics/summary/sessions', validate({
+        summary: 'Count sessions',
+        security: 'admin',
+        query: windowQuery,
+        responses: {
+            200: schemas.success({
+                sessions: { type: 'integer' },
+                completed: { type: 'integer' },
+                abandoned: { type: 'integer' },
+                deaths: { type: 'integer' },
+                pauses: { type: 'integer' },
+                quitStates: {
+                    type: 'object',
+                    additionalProperties: { type: 'integer' },
+                    description: 'Where players stopped in runs that never ended, counted by game state',
+                },
+            }),
+        },
+    }), async (req, res) => {
+        const sessions = await loadSessions(req.query);
+
+        // where players stopped in runs that never ended
+        const quitStates = sessions
+            .filter(s => !s.ended && s.lastState)
+            .reduce((counts, s) => ({ ...counts, [s.lastState]: (counts[s.lastState] || 0) + 1 }), {});
+
+        res.status(200).json({
+            success: true,
+            sessions: sessions.length,
+            completed: sessions.filter(s => s.ended).length,
+            abandoned: sessions.filter(s => !s.ended).length,
+            deaths: sessions.reduce((sum, s) => sum + s.deaths, 0),
+            pauses: sessions.reduce((sum, s) => sum + s.pauses, 0),
+            quitStates,
+        });
+    });
+
+    // Run length in seconds
+    app.get('/analytics/summary/run-length', validate({
+        summary: 'Summarize run lengths',
+        security: 'admin',
+        query: { ...windowQuery, ...bucketsQuery },
+        responses: {
+            200: schemas.success(distributionSchema),
+        },
+    }), async (req, res) => {
+        const bucketCount = Math.min(intParam(req.query.buckets, 10), 100) || 10;
+        const lengths = (await loadSessions(req.query))
+            .filter(s => s.started)
+            .map(s => s.duration);
+
+        res.status(200).json({
+            success: true,
+            runs: lengths.length,
+            median: median(lengths),
+            distribution: distribution(lengths, bucketCount),
+        });
+    });
+
+    // Final scores of completed runs
+    app.get('/analytics/summary/scores', validate({
+        summary: 'Summarize final scores',
+        security: 'admin',
+        query: { ...windowQuery, ...bucketsQuery },
+        responses: {
+            200: schemas.success(distributionSchema),
+        },
+    }), async (req, res) => {
+        const bucketCount = Math.min(intParam(req.query.buckets, 10), 100) || 10;
+        const scores = (await loadSessions(req.query))
+            .filter(s => typeof s.score === 'number')
+            .map(s => s.score);
+
+        res.status(200).json({
+            success: true,
+            runs: scores.length,
+            median: median(scores),
+            distribution: distribution(scores, bucketCount),
+        });
+    });
+}
@@ -0,0 +1,47 @@
+import crypto from 'crypto';
+
+// Admin routes are protected by a shared secret from the environment.
+// Clients send it as a bearer token: Authorization: Bearer <secret>
+// When LEADERBOARD_ADMIN_SECRET isn't set the admin routes are disabled.
+const adminSecret = process.env.LEADERBOARD_ADMIN_SECRET;
+
+// compare secrets without leaking their contents through timing
+const secretsMatch = (a, b) => {
+    const hashA = crypto.createHash('sha256').update(a).digest();
+    const hashB = crypto.createHash('sha256').update(b).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// check if a request carries the admin secret
+const isAdmin = (req) => {
+    if (!adminSecret) { return false; }
+
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    return scheme === 'Bearer' && !!token && secretsMatch(token, adminSecret);
+}
+
+// middleware rejecting requests without the admin secret
+const requireAdmin = (req, res, next) => {
+    if (!adminSecret) {
+        res.status(403).json({
+            success: false,
+            error: 'Admin routes are disabled, set LEADERBOARD_ADMIN_SECRET to enable them',
+        });
+        return;
+    }
+
+    if (!isAdmin(req)) {
+        res.status(401).json({
+            success: false,
+            error: 'Invalid admin credentials',
+        });
+        return;
+    }
+
+    next();
+}
+
+export {
+    isAdmin,
+    requireAdmin
+};
@@ -0,0 +1,88 @@
+import * as fs from 'fs';
+import * as path from 'path';
+
+// Games can keep separate leaderboards for their modes and levels. The
+// allowed boards are declared in .koji/customization/leaderboard.json as a
+// comma separated list, or in the LEADERBOARD_BOARDS environment variable.
+// Board names are lowercase letters, numbers and dashes, other names are
+// left out. frontend/app/boards.js reads the list with the same rules.
+//
+// The board named 'main' is stored in the original 'leaderboard'
+// collection, every other board gets its own collection. It holds the
+// scores saved before there were boards, so it's always kept, first,
+// and it's the default board used by the /leaderboard routes.
+//
+// Boards listed in bestScoreBoards (or LEADERBOARD_BEST_SCORE_BOARDS)
+// keep only each player's best score instead of every run.
+
+const mainBoard = 'main';
+
+// board names that would clash with other leaderboard routes
+const reservedBoards = ['save', 'session', 'rank', 'stream'];
+
+const configFile = path.resolve(__dirname, '../../.koji/customization/leaderboard.json');
+
+// read a setting from the environment, or from leaderboard.json
+const readSetting = (envKey, key) => {
+    if (process.env[envKey]) {
+        return process.env[envKey];
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(configFile, 'utf8')).leaderboard[key];
+    } catch (err) {
+        return null;
+    }
+}
+
+const parseBoards = list => String(list || '')
+    .split(',')
+    .map(board => board.trim().toLowerCase())
+    .filter(board => /^[a-z0-9-]+$/.test(board))
+    .filter(board => !reservedBoards.includes(board));
+
+const configuredBoards = parseBoards(readSetting('LEADERBOARD_BOARDS', 'boards'));
+const boards = [mainBoard, ...configuredBoards.filter(board => board !== mainBoard)];
+const defaultBoard = mainBoard;
+
+const bestScoreBoards = parseBoards(readSetting('LEADERBOARD_BEST_SCORE_BOARDS', 'bestScoreBoards'));
+
+const isBoard = board => boards.includes(board);
+
+// get the storage collection for a board
+const collectionFor = board => board === mainBoard ? 'leaderboard' : `leaderboard-${board}`;
+
+// get the storage collection for a board's run replays, kept under the same ids as its records
+const replayCollectionFor = board => board === mainBoard ? 'leaderboardReplays' : `leaderboardReplays-${board}`;
+
+// middleware setting req.board from the :board route parameter,
+// or to the default board on routes without one
+const boardParam = (req, res, next) => {
+    const key = req.params.board || defaultBoard;
+
+    if (!isBoard(key)) {
+        res.status(404).json({
+            success: false,
+            error: `Unknown leaderboard '${key}'`,
+        });
+        return;
+    }
+
+    req.board = {
+        key,
+        collection: collectionFor(key),
+        replayCollection: replayCollectionFor(key),
+        bestScoreOnly: bestScoreBoards.includes(key),
+    };
+    next();
+}
+
+export {
+    boards,
+    defaultBoard,
+    isBoard,
+    collectionFor,
+    replayCollectionFor,
+    boardParam,
+    readSetting
+};
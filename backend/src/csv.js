@@ -0,0 +1,80 @@
+// Small CSV reader and writer for leaderboard dumps.
+// Fields are quoted when needed, following RFC 4180.
+
+// Spreadsheets run cells starting with these as formulas, so exported
+// cells starting with them get a leading ' which is removed on import
+const formulaStart = /^[=+\-@]/;
+
+const escapeCell = (value) => {
+    if (value === null || typeof value === 'undefined') { return ''; }
+
+    let cell = String(value);
+    if (formulaStart.test(cell)) {
+        cell = `'${cell}`;
+    }
+
+    return /[",\r\n]/.test(cell) ?
+    `"${cell.replace(/"/g, '""')}"` :
+    cell;
+}
+
+const unescapeCell = cell => /^'[=+\-@]/.test(cell) ? cell.slice(1) : cell;
+
+// write a list of objects as CSV with a header row
+const toCSV = (rows, columns) => [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => escapeCell(row[column])).join(',')),
+].join('\r\n');
+
+// read CSV with a header row into a list of objects
+const parseCSV = (text) => {
+    const lines = [];
+    let line = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i += 1) {
+        const c = text[i];
+
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i += 1;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                cell += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            line.push(cell);
+            cell = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') { i += 1; }
+            line.push(cell);
+            lines.push(line);
+            line = [];
+            cell = '';
+        } else {
+            cell += c;
+        }
+    }
+
+    if (cell !== '' || line.length > 0) {
+        line.push(cell);
+        lines.push(line);
+    }
+
+    const [header = [], ...body] = lines.filter(l => l.length > 1 || l[0] !== '');
+
+    return body.map(values => header.reduce((row, column, i) => ({
+        ...row,
+        [column]: unescapeCell(values[i] || ''),
+    }), {}));
+}
+
+export {
+    toCSV,
+    parseCSV
+};
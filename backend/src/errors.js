@@ -0,0 +1,94 @@
+import { log } from './logging';
+
+// Central error handling. Express doesn't catch errors from async route
+// handlers, so handleAsyncErrors() makes every route pass its rejected
+// promises on to next(), and errorHandler() turns any error into the
+// same { success: false, error } body the routes send.
+
+const methods = ['get', 'post', 'put', 'patch', 'delete', 'all', 'use'];
+
+// An error with an http status, for routes that would rather throw
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+        this.expose = status < 500;
+    }
+}
+
+// Pass errors thrown by a handler, or its rejected promise, to next()
+const catchErrors = (handler) => {
+    if (Array.isArray(handler)) { return handler.map(catchErrors); }
+
+    // leave error handlers, routers and anything that isn't a handler alone
+    if (typeof handler !== 'function' || handler.length > 3 || handler.handle) { return handler; }
+
+    return (req, res, next) => {
+        try {
+            const result = handler(req, res, next);
+            if (result && typeof result.catch === 'function') {
+                result.catch(next);
+            }
+        } catch (err) {
+            next(err);
+        }
+    };
+}
+
+// Wrap the handlers of every route added to the app from now on
+const handleAsyncErrors = (app) => {
+    methods.forEach((method) => {
+        const add = app[method];
+
+        app[method] = function (...args) {
+            // app.get(name) reads a setting
+            if (method === 'get' && args.length === 1) { return add.apply(this, args); }
+
+            return add.apply(this, args.map(catchErrors));
+        };
+    });
+}
+
+// Answer unknown routes
+const notFound = (req, res) => {
+    res.status(404).json({
+        success: false,
+        error: 'Not found',
+    });
+}
+
+// Answer any error passed to next(). Errors from body parsers and
+// HttpErrors keep their status and message, anything else is a 500
+// that gets logged
+const errorHandler = (err, req, res, next) => {
+    if (res.headersSent) {
+        next(err);
+        return;
+    }
+
+    const status = err.status || err.statusCode || 500;
+    const expose = status < 500 && err.expose !== false;
+
+    if (status >= 500) {
+        log({
+            type: 'error',
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            status,
+            error: err.message,
+            stack: err.stack,
+        });
+    }
+
+    res.status(status).json({
+        success: false,
+        error: expose ? err.message : 'Internal server error',
+    });
+}
+
+export {
+    HttpError,
+    handleAsyncErrors,
+    notFound,
+    errorHandler
+};
@@ -0,0 +1,10 @@
+import { EventEmitter } from 'events';
+
+// Leaderboard events shared across routes
+//   score: a score was saved, with { board, placement }
+const leaderboardEvents = new EventEmitter();
+
+// every open stream adds a listener, so don't warn about many listeners
+leaderboardEvents.setMaxListeners(0);
+
+export default leaderboardEvents;
@@ -0,0 +1,309 @@
+import crypto from 'crypto';
+
+import { getStore } from './storage';
+import { leaderboardIndex } from './leaderboardIndex';
+import rateLimit from './rateLimit';
+import { intParam } from './params';
+import { periodStart } from './periods';
+import { filterName } from './nameFilter';
+import { boardParam } from './boards';
+import { playerAuth, requirePlayer } from './players';
+import { validate, schemas } from './schema';
+
+// Groups let friends compete on their own leaderboard. A group is stored
+// in the 'leaderboardGroups' collection under its share code, with the
+// player ids of its members. Its leaderboard shows each member's best
+// score, from the records they saved with their player id.
+//
+// Player ids are never sent back, so a share code only
+// reveals the names and scores on its leaderboard. Players have to
+// send their secret to create, join or leave a group, see players.js
+
+// Letters and numbers that are hard to mix up when read out loud
+const codeAlphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const codeLength = 6;
+
+const maxGroupName = 32;
+const maxMembers = parseInt(process.env.GROUP_MAX_MEMBERS, 10) || 50;
+
+// Groups created or joined per minute from one ip
+// address, so share codes can't be guessed quickly
+const groupLimitPerIp = parseInt(process.env.GROUP_LIMIT_PER_IP, 10) || 20;
+
+// Largest page of scores a client can ask for
+const maxLimit = 100;
+
+const randomCode = () => Array.from(crypto.randomBytes(codeLength))
+    .map(byte => codeAlphabet[byte % codeAlphabet.length])
+    .join('');
+
+// codes are shown in capitals but can be typed in any case
+const normalizeCode = code => String(code || '').trim().toUpperCase();
+
+// What clients see of a group
+const publicGroup = (code, { name, members, dateCreated }) => ({
+    code,
+    name,
+    members: members.length,
+    dateCreated,
+});
+
+const groupSchema = {
+    type: 'object',
+    required: ['code', 'name', 'members', 'dateCreated'],
+    properties: {
+        code: { type: 'string', description: 'Share code of the group' },
+        name: { type: 'string', nullable: true },
+        members: { type: 'integer', description: 'Number of players in the group' },
+        dateCreated: { type: 'integer' },
+    },
+};
+
+const codeParam = {
+    type: 'string',
+    description: 'Share code of the group, in any case',
+};
+
+// Body of the routes a player uses to create, join or leave a group
+const playerBody = (properties = {}) => ({
+    type: 'object',
+    required: ['playerId'],
+    properties: {
+        playerId: schemas.playerId,
+        playerSecret: schemas.playerSecret,
+        ...properties,
+    },
+});
+
+// Remove a player from every group they're in
+const leaveGroups = async (playerId) => {
+    const database = getStore();
+    const groups = (await database.getAll('leaderboardGroups'))
+        .filter(group => group.members.includes(playerId));
+
+    for (const group of groups) {
+        await database.update('leaderboardGroups', group._id, {
+            members: group.members.filter(member => member !== playerId),
+        });
+    }
+
+    return groups.length;
+}
+
+export default function (app) {
+    const groupLimit = rateLimit({
+        windowMs: 60 * 1000,
+        max: groupLimitPerIp,
+        key: req => req.ip,
+        message: 'Too many groups joined, try again later',
+    });
+
+    // Create a group, the player creating it is its first member
+    app.post('/groups', groupLimit, validate({
+        summary: 'Create a group',
+        security: 'player',
+        body: playerBody({
+            name: { type: 'string', maxLength: maxGroupName, description: 'Name of the group' },
+        }),
+        responses: {
+            200: schemas.success(groupSchema.properties),
+            401: 'playerId and playerSecret are required, or invalid player secret',
+            429: 'Too many groups joined',
+        },
+    }), playerAuth, requirePlayer, async (req, res) => {
+        let name = null;
+        if (req.body.name && req.body.name.trim()) {
+            name = filterName(req.body.name.trim());
+            if (!name) {
+                res.status(400).json({
+                    success: false,
+                    error: 'name is not allowed',
+                });
+                return;
+            }
+        }
+
+        const database = getStore();
+
+        // codes are random, try again on the rare clash
+        let code = randomCode();
+        let tries = 1;
+        while (await database.get('leaderboardGroups', code)) {
+            if (tries >= 5) {
+                throw new Error('Could not find a free group code');
+            }
+            code = randomCode();
+            tries += 1;
+        }
+
+        const group = {
+            name,
+            members: [req.body.playerId],
+            dateCreated: Math.round(Date.now() / 1000),
+        };
+        await database.set('leaderboardGroups', code, group);
+
+        res.status(200).json({
+            success: true,
+            ...publicGroup(code, group),
+        });
+    });
+
+    // Join a group with its share code
+    app.post('/groups/:code/join', groupLimit, validate({
+        summary: 'Join a group',
+        security: 'player',
+        params: { code: codeParam },
+        body: playerBody(),
+        responses: {
+            200: schemas.success(groupSchema.properties),
+            401: 'playerId and playerSecret are required, or invalid player secret',
+            404: 'Group not found',
+            409: 'Group is full',
+            429: 'Too many groups joined',
+        },
+    }), playerAuth, requirePlayer, async (req, res) => {
+        const database = getStore();
+        const code = normalizeCode(req.params.code);
+        const group = await database.get('leaderboardGroups', code);
+
+        if (!group) {
+            res.status(404).json({
+                success: false,
+                error: 'Group not found',
+            });
+            return;
+        }
+
+        if (!group.members.includes(req.body.playerId)) {
+            if (group.members.length >= maxMembers) {
+                res.status(409).json({
+                    success: false,
+                    error: 'Group is full',
+                });
+                return;
+            }
+
+            group.members = [...group.members, req.body.playerId];
+            await database.update('leaderboardGroups', code, { members: group.members });
+        }
+
+        res.status(200).json({
+            success: true,
+            ...publicGroup(code, group),
+        });
+    });
+
+    // Leave a group
+    app.post('/groups/:code/leave', validate({
+        summary: 'Leave a group',
+        security: 'player',
+        params: { code: codeParam },
+        body: playerBody(),
+        responses: {
+            200: schemas.success(groupSchema.properties),
+            401: 'playerId and playerSecret are required, or invalid player secret',
+            404: 'Group not found',
+        },
+    }), playerAuth, requirePlayer, async (req, res) => {
+        const database = getStore();
+        const code = normalizeCode(req.params.code);
+        const group = await database.get('leaderboardGroups', code);
+
+        if (!group) {
+            res.status(404).json({
+                success: false,
+                error: 'Group not found',
+            });
+            return;
+        }
+
+        group.members = group.members.filter(member => member !== req.body.playerId);
+        await database.update('leaderboardGroups', code, { members: group.members });
+
+        res.status(200).json({
+            success: true,
+            ...publicGroup(code, group),
+        });
+    });
+
+    app.get('/groups/:code', validate({
+        summary: 'Get a group',
+        params: { code: codeParam },
+        responses: {
+            200: schemas.success(groupSchema.properties),
+            404: 'Group not found',
+        },
+    }), async (req, res) => {
+        const code = normalizeCode(req.params.code);
+        const group = await getStore().get('leaderboardGroups', code);
+
+        if (!group) {
+            res.status(404).json({
+                success: false,
+                error: 'Group not found',
+            });
+            return;
+        }
+
+        res.status(200).json({
+            success: true,
+            ...publicGroup(code, group),
+        });
+    });
+
+    // Get a group's leaderboard, with each member's best score
+    app.get(['/groups/:code/leaderboard', '/groups/:code/leaderboard/:board'], validate({
+        summary: 'Read a page of a group\'s leaderboard',
+        params: { code: codeParam, board: schemas.board },
+        query: {
+            period: schemas.period,
+            ...schemas.page(maxLimit, maxLimit),
+        },
+        responses: {
+            200: schemas.success({
+                group: groupSchema,
+                board: { type: 'string' },
+                period: { type: 'string' },
+                offset: { type: 'integer' },
+                limit: { type: 'integer' },
+                total: { type: 'integer' },
+                scores: { type: 'array', items: schemas.record },
+            }),
+            404: 'Group not found, or unknown leaderboard',
+        },
+    }), boardParam, async (req, res) => {
+        const period = req.query.period || 'all';
+        const code = normalizeCode(req.params.code);
+        const group = await getStore().get('leaderboardGroups', code);
+
+        if (!group) {
+            res.status(404).json({
+                success: false,
+                error: 'Group not found',
+            });
+            return;
+        }
+
+        const offset = intParam(req.query.offset, 0);
+        const limit = Math.min(intParam(req.query.limit, maxLimit), maxLimit);
+
+        const { total, scores } = await leaderboardIndex(req.board.collection)
+            .queryPlayers(group.members, { since: periodStart(period), offset, limit });
+
+        res.status(200).json({
+            success: true,
+            group: publicGroup(code, group),
+            board: req.board.key,
+            period,
+            offset,
+            limit,
+            total,
+            scores,
+        });
+    });
+}
+
+export {
+    leaveGroups
+};
@@ -0,0 +1,76 @@
+import { getStore, storageType } from './storage';
+import { log } from './logging';
+import { validate } from './schema';
+
+// Health check for uptime monitors and load balancers. Answers 200 when
+// storage can be read, or 503 when it can't.
+
+// Milliseconds to wait for storage before calling it down
+const storageTimeout = 3000;
+
+// Read a record to check the store is reachable
+const checkStorage = async () => {
+    const started = Date.now();
+    let timer;
+
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('Timed out')), storageTimeout);
+    });
+
+    try {
+        await Promise.race([getStore().get('health', 'check'), timeout]);
+        return {
+            type: storageType(),
+            ok: true,
+            latency: Date.now() - started,
+        };
+    } catch (err) {
+        // keep the reason in the logs, it can hold storage details
+        log({ type: 'error', check: 'storage', error: err.message });
+
+        return {
+            type: storageType(),
+            ok: false,
+        };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+const healthSchema = {
+    type: 'object',
+    required: ['success', 'status', 'uptime', 'storage'],
+    properties: {
+        success: { type: 'boolean' },
+        status: { type: 'string', enum: ['ok', 'unavailable'] },
+        uptime: { type: 'integer', description: 'Seconds the server has been up' },
+        storage: {
+            type: 'object',
+            required: ['type', 'ok'],
+            properties: {
+                type: { type: 'string' },
+                ok: { type: 'boolean' },
+                latency: { type: 'integer', description: 'Milliseconds storage took to answer' },
+            },
+        },
+    },
+};
+
+export default function (app) {
+    app.get('/health', validate({
+        summary: 'Check the server and its storage',
+        responses: {
+            200: healthSchema,
+            503: { ...healthSchema, description: 'Storage can\'t be reached' },
+        },
+    }), async (req, res) => {
+        const storage = await checkStorage();
+
+        res.status(storage.ok ? 200 : 503).json({
+            success: storage.ok,
+            status: storage.ok ? 'ok' : 'unavailable',
+            uptime: Math.round(process.uptime()),
+            storage,
+        });
+    });
+}
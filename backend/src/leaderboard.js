@@ -1,51 +1,438 @@
-import Database from '@withkoji/database';
+import crypto from 'crypto';
 import uuid from 'uuid';
 
+import { getStore } from './storage';
+import { leaderboardIndex } from './leaderboardIndex';
+import rateLimit from './rateLimit';
+import { intParam, numberParam, isPlayerId } from './params';
+import { periodStart } from './periods';
+import { filterName } from './nameFilter';
+import { boards, boardParam } from './boards';
+import leaderboardEvents from './events';
+import { sealPrivateAttributes } from './privacy';
+import { replaySchema, replayError, saveReplay, deleteReplay } from './replays';
+import { playerAuth, canUseName, reserveName } from './players';
+import { validate, schemas } from './schema';
+import {
+    issueSession,
+    readSession,
+    isExpired,
+    isPlausibleScore
+} from './sessions';
+
+// Largest page of scores a client can ask for
+const maxLimit = 100;
+
+// Seconds between keep alive comments on open streams, so
+// proxies don't close streams that are waiting for scores
+const streamKeepAlive = 25;
+
+// Limits on what can be saved with a score
+const maxNameLength = 32;
+const maxPrivateAttributes = 10;
+const maxPrivateAttributeLength = 256;
+
+// Score saves allowed per minute from one ip address, and for one player
+const saveLimitPerIp = parseInt(process.env.SAVE_LIMIT_PER_IP, 10) || 10;
+const saveLimitPerPlayer = parseInt(process.env.SAVE_LIMIT_PER_PLAYER, 10) || 5;
+
+// On best score boards each player has one record. Its id is derived from
+// the player id so it can be looked up, without showing the player id
+// to everyone reading the leaderboard.
+const playerRecordId = (board, playerId) => crypto
+    .createHash('sha256')
+    .update(`${board}:${playerId}`)
+    .digest('hex')
+    .slice(0, 32);
+
+const saveBody = {
+    type: 'object',
+    required: ['name', 'score'],
+    properties: {
+        name: {
+            type: 'string',
+            pattern: '\\S',
+            'x-pattern': 'more than spaces',
+            maxLength: maxNameLength,
+            description: 'Name to show on the leaderboard',
+        },
+        score: { type: 'number', minimum: 0, description: 'The final score' },
+        sessionToken: { type: 'string', description: 'Token from /leaderboard/session for this run' },
+        playerId: {
+            ...schemas.playerId,
+            description: 'The player\'s id, required on best score boards',
+        },
+        playerSecret: schemas.playerSecret,
+        privateAttributes: {
+            type: 'object',
+            maxProperties: maxPrivateAttributes,
+            additionalProperties: { type: 'string', maxLength: maxPrivateAttributeLength },
+            description: 'Attributes kept with the score but not shown on the leaderboard, like an email',
+        },
+        replay: replaySchema,
+    },
+};
+
+// The placement of a saved score
+const savedScore = schemas.success({
+    board: { type: 'string' },
+    personalBest: {
+        type: 'boolean',
+        description: 'On best score boards, false when the player already had a higher score',
+    },
+    ...schemas.placement.properties,
+}, ['board', 'id']);
+
 export default function (app) {
-  app.get('/test', async (req, res) => {
-    res.status(200).json({
-      test: true,
-      more: 'more',
+    // List the leaderboards this game has
+    app.get('/leaderboards', validate({
+        summary: 'List the leaderboards',
+        responses: {
+            200: schemas.success({ boards: { type: 'array', items: { type: 'string' } } }),
+        },
+    }), async (req, res) => {
+        res.status(200).json({
+            success: true,
+            boards,
+        });
     });
-  })
-
-    app.get('/leaderboard', async (req, res) => {
-        const database = new Database();
-        const rawScores = await database.get('leaderboard');
-
-        // We don't want to return private attributes to consumers of this
-        // endpoint, so strip them out, sort the records so the top scores
-        // appear first, and then only return the top 100 scores
-        const scores = rawScores
-            .map(({ name, score, dateCreated }) => ({
-                name,
-                score,
-                dateCreated
-            }))
-            .filter(r => r.name && !isNaN(r.score))
-            .sort((a, b) => b.score - a.score)
-            .slice(0, 100);
+
+    // Stream new top scores as Server-Sent Events. A 'score' event is sent
+    // with the placement of each score saved within the top ranks.
+    app.get(['/leaderboard/stream', '/leaderboard/:board/stream'], validate({
+        summary: 'Stream new top scores',
+        description: 'Server-Sent Events, with a score event for each score saved within the top ranks',
+        params: { board: schemas.board },
+        query: {
+            top: {
+                type: 'integer',
+                minimum: 0,
+                description: `Only send scores ranked this high or better (default and max ${maxLimit})`,
+            },
+        },
+        produces: 'text/event-stream',
+        responses: {
+            200: { type: 'string' },
+            404: 'Unknown leaderboard',
+        },
+    }), boardParam, (req, res) => {
+        const top = Math.min(intParam(req.query.top, maxLimit), maxLimit) || maxLimit;
+
+        res.status(200);
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no',
+        });
+        res.flushHeaders();
+
+        // tell the client how long to wait before reconnecting
+        res.write('retry: 5000\n\n');
+
+        const onScore = ({ board, placement }) => {
+            if (board !== req.board.key || !placement || placement.rank > top) { return; }
+
+            const { id, rank, total, record } = placement;
+            res.write(`event: score\ndata: ${JSON.stringify({ id, rank, total, record })}\n\n`);
+        };
+
+        const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), streamKeepAlive * 1000);
+
+        leaderboardEvents.on('score', onScore);
+
+        req.on('close', () => {
+            clearInterval(keepAlive);
+            leaderboardEvents.removeListener('score', onScore);
+        });
+    });
+
+    // Routes without a :board use the default board, see boards.js
+    app.get(['/leaderboard', '/leaderboard/:board'], validate({
+        summary: 'Read a page of the leaderboard',
+        params: { board: schemas.board },
+        query: {
+            period: schemas.period,
+            ...schemas.page(maxLimit, maxLimit),
+        },
+        responses: {
+            200: schemas.success({
+                board: { type: 'string' },
+                period: { type: 'string' },
+                offset: { type: 'integer' },
+                limit: { type: 'integer' },
+                total: { type: 'integer' },
+                scores: { type: 'array', items: schemas.record },
+            }),
+            404: 'Unknown leaderboard',
+        },
+    }), boardParam, async (req, res) => {
+        const period = req.query.period || 'all';
+        const offset = intParam(req.query.offset, 0);
+        const limit = Math.min(intParam(req.query.limit, maxLimit), maxLimit);
+        const since = periodStart(period);
+
+        const { total, scores } = await leaderboardIndex(req.board.collection)
+            .query({ since, offset, limit });
 
         res.status(200).json({
             success: true,
+            board: req.board.key,
+            period,
+            offset,
+            limit,
+            total,
             scores,
         });
     });
 
-    app.post('/leaderboard/save', async (req, res) => {
-        const recordId = uuid.v4();
+    // Look up the global rank of a record, and its neighbors
+    app.get(['/leaderboard/rank/:id', '/leaderboard/:board/rank/:id'], validate({
+        summary: 'Get the rank of a record',
+        params: { board: schemas.board, id: { type: 'string' } },
+        responses: {
+            200: schemas.success(schemas.placement.properties),
+            404: 'Record not found, or unknown leaderboard',
+        },
+    }), boardParam, async (req, res) => {
+        const placement = await leaderboardIndex(req.board.collection)
+            .placement(req.params.id);
+
+        if (!placement) {
+            res.status(404).json({
+                success: false,
+                error: 'Record not found',
+            });
+            return;
+        }
+
+        res.status(200).json({
+            success: true,
+            ...placement,
+        });
+    });
+
+    // Start a score session. The client keeps the token for the length of
+    // the run and sends it back with the final score.
+    app.post('/leaderboard/session', validate({
+        summary: 'Start a score session',
+        responses: {
+            200: schemas.success({
+                token: { type: 'string' },
+                expires: { type: 'integer', description: 'Time the session closes, in milliseconds' },
+            }),
+        },
+    }), async (req, res) => {
+        const { token, expires } = issueSession();
+
+        res.status(200).json({
+            success: true,
+            token,
+            expires,
+        });
+    });
+
+    // Limit how often scores can be saved, from one ip address and for one
+    // player name, so a script can't flood the board
+    const saveLimits = [
+        rateLimit({
+            windowMs: 60 * 1000,
+            max: saveLimitPerIp,
+            key: req => req.ip,
+            message: 'Too many scores saved, try again later',
+        }),
+        rateLimit({
+            windowMs: 60 * 1000,
+            max: saveLimitPerPlayer,
+            key: req => isPlayerId(req.body.playerId) ?
+            req.body.playerId :
+            typeof req.body.name === 'string' && req.body.name.trim().toLowerCase(),
+            message: 'Too many scores saved for this player, try again later',
+        }),
+    ];
+
+    // On best score boards the response includes personalBest, which is
+    // false when the player already had a higher score. Their best record
+    // is left alone and its placement is returned instead.
+    //
+    // Names reserved by another player are refused. Registered
+    // players reserve the name they save under.
+    app.post(['/leaderboard/save', '/leaderboard/:board/save'], boardParam, saveLimits, validate({
+        summary: 'Save a score',
+        security: 'player',
+        params: { board: schemas.board },
+        body: saveBody,
+        responses: {
+            200: savedScore,
+            401: 'Missing, invalid or expired session token, or invalid player secret',
+            404: 'Unknown leaderboard',
+            409: 'Session already used, or name reserved by another player',
+            429: 'Too many scores saved',
+        },
+    }), playerAuth, async (req, res) => {
+        // the schema covers the replay's shape, this checks its size and frames
+        const bodyError = req.body.replay && replayError(req.body.replay);
+        if (bodyError) {
+            res.status(400).json({
+                success: false,
+                error: bodyError,
+            });
+            return;
+        }
+
+        if (req.board.bestScoreOnly && !req.body.playerId) {
+            res.status(400).json({
+                success: false,
+                error: 'playerId is required on this leaderboard',
+            });
+            return;
+        }
+
+        // Refuse or mask names on the blocklist
+        const name = filterName(req.body.name.trim());
+        if (!name) {
+            res.status(400).json({
+                success: false,
+                error: 'name is not allowed',
+            });
+            return;
+        }
+
+        if (!(await canUseName(name, req.player))) {
+            res.status(409).json({
+                success: false,
+                error: 'name is reserved by another player',
+            });
+            return;
+        }
+
+        const now = Date.now();
+        const score = numberParam(req.body.score);
+        const session = readSession(req.body.sessionToken);
+
+        if (!session) {
+            res.status(401).json({
+                success: false,
+                error: 'Missing or invalid session token',
+            });
+            return;
+        }
+
+        if (isExpired(session, now)) {
+            res.status(401).json({
+                success: false,
+                error: 'Session expired',
+            });
+            return;
+        }
+
+        if (!isPlausibleScore(session, score, now)) {
+            res.status(400).json({
+                success: false,
+                error: 'Score is not plausible for this session',
+            });
+            return;
+        }
+
+        // Each session can only be used for one score. The session is
+        // marked used with an insert keyed by its id before the score is
+        // stored, so concurrent saves with one token can't both pass
+        const database = getStore();
+        const claimed = await database.insert('leaderboardSessions', session.id, {
+            dateStarted: Math.round(session.started / 1000),
+            dateUsed: Math.round(now / 1000),
+        });
+        if (!claimed) {
+            res.status(409).json({
+                success: false,
+                error: 'Session already used',
+            });
+            return;
+        }
+
+        if (req.player && !(await reserveName(req.player, name))) {
+            res.status(409).json({
+                success: false,
+                error: 'name is reserved by another player',
+            });
+            return;
+        }
+
+        const index = leaderboardIndex(req.board.collection);
+        const recordId = req.board.bestScoreOnly ?
+        playerRecordId(req.board.key, req.body.playerId) :
+        uuid.v4();
         const recordBody = {
-            name: req.body.name,
-            score: req.body.score,
-            privateAttributes: req.body.privateAttributes,
-            dateCreated: Math.round(Date.now() / 1000),
+            name,
+            score,
+            playerId: req.body.playerId,
+            ...sealPrivateAttributes(req.body.privateAttributes),
+            dateCreated: Math.round(now / 1000),
         };
 
-        const database = new Database();
-        await database.set('leaderboard', recordId, recordBody);
+        // Without a replay the score can't be checked, see replays.js
+        if (!req.body.replay) {
+            recordBody.unverified = true;
+        }
+
+        // On best score boards, keep the player's record unless this beats it
+        const previous = req.board.bestScoreOnly ?
+        await database.get(req.board.collection, recordId) :
+        null;
+
+        if (previous && previous.score >= score) {
+            const placement = await index.placement(recordId);
+
+            res.status(200).json({
+                success: true,
+                board: req.board.key,
+                id: recordId,
+                personalBest: false,
+                ...placement,
+            });
+            return;
+        }
+
+        // A better score doesn't undo a moderator hiding the player
+        if (previous && previous.hidden) {
+            recordBody.hidden = true;
+        }
+
+        await database.set(req.board.collection, recordId, recordBody);
+
+        // Keep the run's replay with the record, a replaced
+        // record's old replay no longer matches it
+        if (req.body.replay) {
+            await saveReplay(req.board, recordId, req.body.replay, {
+                score,
+                sessionDuration: now - session.started,
+            });
+        } else if (previous) {
+            await deleteReplay(req.board.replayCollection, recordId);
+        }
+
+        if (previous && previous.hidden) {
+            index.invalidate();
+        } else if (previous) {
+            index.replace({ ...recordBody, _id: recordId }, previous);
+        } else {
+            index.add({ ...recordBody, _id: recordId });
+        }
+
+        // Let the player know where they landed
+        const placement = await index.placement(recordId);
+
+        // and anyone watching the leaderboard
+        leaderboardEvents.emit('score', {
+            board: req.board.key,
+            placement,
+        });
 
         res.status(200).json({
             success: true,
+            board: req.board.key,
+            id: recordId,
+            ...(req.board.bestScoreOnly ? { personalBest: true } : {}),
+            ...placement,
         });
     });
 }
@@ -0,0 +1,297 @@
+import { getStore } from './storage';
+import { periods, periodStart } from './periods';
+
+// The leaderboard index keeps the top records of a collection sorted in
+// memory, so reading the leaderboard doesn't need a full scan of the
+// database. It is built from a full scan, kept current as scores are saved,
+// and rebuilt when invalidated or when it's older than LEADERBOARD_INDEX_TTL,
+// which picks up records written by other server instances.
+//
+// Besides the all time top records, the index keeps the top records of the
+// current day, week and month, see periods.js. It's rebuilt when one of
+// those periods ends.
+
+// Number of top records kept in memory
+const indexSize = parseInt(process.env.LEADERBOARD_INDEX_SIZE, 10) || 1000;
+
+// Seconds before the index is rebuilt from storage
+const indexTTL = parseInt(process.env.LEADERBOARD_INDEX_TTL, 10) || 60;
+
+// Number of entries returned above and below a player's rank
+const neighborCount = 3;
+
+// Top scores first, with earlier records winning ties
+const compareRecords = (a, b) => (b.score - a.score) || (a.dateCreated - b.dateCreated);
+
+// Time windows kept in memory besides all time
+const windowPeriods = periods.filter(period => period !== 'all');
+
+// What the index keeps of a record. The player id is only used
+// to find the records of some players, see queryPlayers()
+const indexEntry = ({ _id, name, score, dateCreated, playerId }) => ({
+    id: _id,
+    name,
+    score,
+    dateCreated,
+    playerId
+});
+
+// We don't want to return private attributes or player ids
+// to consumers of the leaderboard, so strip them out
+const publicEntry = ({ id, name, score, dateCreated }) => ({
+    id,
+    name,
+    score,
+    dateCreated
+});
+
+const isValid = record => record.name && !isNaN(record.score);
+
+// Strip, validate and sort raw records from storage,
+// leaving out records hidden by a moderator
+const rankRecords = records => records
+    .filter(r => !r.hidden)
+    .map(indexEntry)
+    .filter(isValid)
+    .sort(compareRecords);
+
+// The top entries of a ranked list created in a period,
+// and how many entries it has in all
+const periodWindow = (ranked, period) => {
+    const since = periodStart(period);
+    const entries = ranked.filter(r => r.dateCreated >= since);
+
+    return {
+        period,
+        since,
+        records: entries.slice(0, indexSize),
+        total: entries.length,
+    };
+}
+
+// Insert an entry into a list of top entries, keeping at most indexSize
+const insertRanked = (records, entry) => {
+    // binary search for the insert position
+    let low = 0;
+    let high = records.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (compareRecords(records[mid], entry) <= 0) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+
+    if (low < indexSize) {
+        records.splice(low, 0, entry);
+        records.length = Math.min(records.length, indexSize);
+    }
+}
+
+// true when every entry of a list fits in memory
+const isComplete = list => list.total <= list.records.length;
+
+// Get the rank of the record at index in a ranked
+// list, with the entries just above and below it
+const placementAt = (ranked, index, total) => {
+    if (index === -1) { return null; }
+
+    return {
+        id: ranked[index].id,
+        rank: index + 1,
+        total,
+        record: publicEntry(ranked[index]),
+        above: ranked.slice(Math.max(0, index - neighborCount), index).map(publicEntry),
+        below: ranked.slice(index + 1, index + 1 + neighborCount).map(publicEntry),
+    };
+}
+
+class LeaderboardIndex {
+    constructor(collection) {
+        this.collection = collection;
+
+        this.records = []; // top records, best first
+        this.total = 0; // number of valid records in the collection
+        this.windows = []; // top records and totals of the current periods
+
+        this.builtAt = 0; // time of the last rebuild, 0 when stale
+        this.version = 0; // bumped on every change, to detect changes during a rebuild
+        this.building = null; // scan in progress
+    }
+
+    // true when every valid record fits in the index
+    get complete() {
+        return isComplete(this);
+    }
+
+    // stale when old, or when a period started since the last rebuild
+    get stale() {
+        return !this.builtAt || Date.now() - this.builtAt > indexTTL * 1000 ||
+        this.windows.some(w => w.since !== periodStart(w.period));
+    }
+
+    // the top records created since a time in seconds,
+    // null when the index doesn't keep that window
+    window(since) {
+        return since ? (this.windows.find(w => w.since === since) || null) : this;
+    }
+
+    async scan() {
+        const records = await getStore().getAll(this.collection);
+        return rankRecords(records);
+    }
+
+    // rebuild the index from a full scan, callers
+    // during a rebuild share the same scan
+    async rebuild() {
+        const version = this.version;
+
+        if (!this.building) { this.building = this.scan(); }
+
+        try {
+            const ranked = await this.building;
+
+            this.records = ranked.slice(0, indexSize);
+            this.total = ranked.length;
+            this.windows = windowPeriods.map(period => periodWindow(ranked, period));
+
+            // if records changed during the scan they might be missing,
+            // so leave the index stale and scan again on the next read
+            this.builtAt = version === this.version ? Date.now() : 0;
+
+            return ranked.map(publicEntry);
+        } finally {
+            this.building = null;
+        }
+    }
+
+    // make sure the index is fresh
+    async ready() {
+        if (this.stale) {
+            await this.rebuild();
+        }
+        return this;
+    }
+
+    // mark the index stale, call this after records
+    // are changed or removed outside of add()
+    invalidate() {
+        this.version += 1;
+        this.builtAt = 0;
+    }
+
+    // add a newly saved record
+    add(record) {
+        this.version += 1;
+
+        const entry = indexEntry(record);
+        if (record.hidden || !isValid(entry)) { return; }
+
+        [this, ...this.windows]
+            .filter(list => entry.dateCreated >= (list.since || 0))
+            .forEach((list) => {
+                list.total += 1;
+                insertRanked(list.records, entry);
+            });
+    }
+
+    // replace a record that was saved again under the same id,
+    // previous is the record it replaces
+    replace(record, previous) {
+        [this, ...this.windows]
+            .filter(list => previous.dateCreated >= (list.since || 0))
+            .forEach((list) => {
+                const index = list.records.findIndex(r => r.id === record._id);
+                if (index !== -1) {
+                    list.records.splice(index, 1);
+                }
+
+                // add() counts the record again
+                list.total -= 1;
+            });
+
+        this.add(record);
+    }
+
+    // get a page of ranked records created since a time in seconds
+    async query({ since = 0, offset = 0, limit }) {
+        await this.ready();
+
+        // serve from memory when the index holds every record of the
+        // window, or the page is within the window's top records
+        const window = this.window(since);
+        if (window && (isComplete(window) || offset + limit <= window.records.length)) {
+            return {
+                total: window.total,
+                scores: window.records.slice(offset, offset + limit).map(publicEntry),
+            };
+        }
+
+        const ranked = (await this.scan())
+            .filter(r => r.dateCreated >= since);
+
+        return {
+            total: ranked.length,
+            scores: ranked.slice(offset, offset + limit).map(publicEntry),
+        };
+    }
+
+    // get a page of ranked records for some players, keeping only each
+    // player's best record created since a time in seconds
+    async queryPlayers(playerIds, { since = 0, offset = 0, limit }) {
+        await this.ready();
+
+        const players = new Set(playerIds);
+
+        // serve from memory when the index holds every record of the window
+        const window = this.window(since);
+        const ranked = window && isComplete(window) ?
+        window.records :
+        (await this.scan()).filter(r => r.dateCreated >= since);
+
+        // ranked lists are best first, so a player's first record is their best
+        const seen = new Set();
+        const best = ranked.filter((r) => {
+            if (!players.has(r.playerId) || seen.has(r.playerId)) { return false; }
+            seen.add(r.playerId);
+            return true;
+        });
+
+        return {
+            total: best.length,
+            scores: best.slice(offset, offset + limit).map(publicEntry),
+        };
+    }
+
+    // get the rank of a record and its neighbors
+    async placement(id) {
+        await this.ready();
+
+        // serve from memory when the record and
+        // its neighbors below are in the index
+        const index = this.records.findIndex(r => r.id === id);
+        if (index !== -1 && (this.complete || index + neighborCount < this.records.length)) {
+            return placementAt(this.records, index, this.total);
+        }
+
+        if (this.complete) { return null; }
+
+        const ranked = await this.scan();
+        return placementAt(ranked, ranked.findIndex(r => r.id === id), ranked.length);
+    }
+}
+
+const indexes = {};
+
+// get the shared index for a collection
+const leaderboardIndex = (collection = 'leaderboard') => {
+    if (!indexes[collection]) {
+        indexes[collection] = new LeaderboardIndex(collection);
+    }
+    return indexes[collection];
+}
+
+export {
+    leaderboardIndex
+};
@@ -0,0 +1,46 @@
+// Structured request logging. Every request is logged as one line of
+// JSON after the [koji-log] prefix, so logs can be searched and parsed.
+
+// Log a line of JSON, errors go to stderr
+const log = (entry) => {
+    const line = `[koji-log] ${JSON.stringify({ time: new Date().toISOString(), ...entry })}`;
+
+    if (entry.type === 'error') {
+        console.error(line);
+    } else {
+        console.log(line);
+    }
+}
+
+// Log each request once its response is done. Query strings aren't
+// logged, they can hold player ids
+const requestLogger = (req, res, next) => {
+    const started = process.hrtime();
+    let logged = false;
+
+    const done = () => {
+        if (logged) { return; }
+        logged = true;
+
+        const [seconds, nanoseconds] = process.hrtime(started);
+        log({
+            type: 'request',
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            status: res.statusCode,
+            duration: Math.round(seconds * 1000 + nanoseconds / 1e6),
+            ip: req.ip,
+            // closed before the response finished, eg. a stream
+            aborted: !res.finished || undefined,
+        });
+    };
+
+    res.on('finish', done);
+    res.on('close', done);
+    next();
+}
+
+export {
+    log,
+    requestLogger
+};
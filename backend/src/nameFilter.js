@@ -0,0 +1,95 @@
+// Filters names saved to the leaderboard against a blocklist.
+//
+// Names are compared after lowercasing, undoing common letter swaps
+// (0 for o, 3 for e, $ for s, ...) and removing everything that isn't
+// a letter, so 'B.a-D w0rd' matches a blocked 'badword'. Blocked words
+// match anywhere in a name, so 'xXbadwordXx' is blocked too.
+//
+// Words that only contain a blocked word, like 'Scunthorpe', are on an
+// allowlist, and taken out of a name before it's checked.
+//
+// The blocklist is configured with:
+//   NAME_BLOCKLIST: comma separated words added to the default list
+//   NAME_BLOCKLIST_DEFAULTS: set to 'false' to drop the default list
+//   NAME_ALLOWLIST: comma separated words added to the default allowlist
+//   NAME_FILTER_MODE: 'reject' (default) refuses blocked names,
+//                     'mask' replaces them with asterisks
+
+const defaultBlocklist = [
+    'asshole',
+    'bastard',
+    'bitch',
+    'cunt',
+    'fuck',
+    'nigger',
+    'faggot',
+    'shit',
+    'slut',
+    'whore',
+];
+
+const defaultAllowlist = [
+    'scunthorpe',
+    'shitake',
+    'shitzu',
+    'mishit',
+];
+
+const substitutions = {
+    '0': 'o',
+    '1': 'i',
+    '3': 'e',
+    '4': 'a',
+    '5': 's',
+    '7': 't',
+    '@': 'a',
+    '$': 's',
+    '!': 'i',
+};
+
+const normalize = text => text
+    .toLowerCase()
+    .split('')
+    .map(c => substitutions[c] || c)
+    .join('')
+    .replace(/[^a-z]/g, '');
+
+const blocklist = [
+    ...(process.env.NAME_BLOCKLIST_DEFAULTS === 'false' ? [] : defaultBlocklist),
+    ...(process.env.NAME_BLOCKLIST || '').split(','),
+]
+    .map(normalize)
+    .filter(word => word.length > 0);
+
+// longest first, so a longer allowed word is taken out before one inside it
+const allowlist = [
+    ...defaultAllowlist,
+    ...(process.env.NAME_ALLOWLIST || '').split(','),
+]
+    .map(normalize)
+    .filter(word => word.length > 0)
+    .sort((a, b) => b.length - a.length);
+
+const filterMode = process.env.NAME_FILTER_MODE === 'mask' ? 'mask' : 'reject';
+
+// check if a name contains a blocked word
+const isBlockedName = (name) => {
+    // allowed words are cut out, leaving a space so the letters
+    // around them don't join into a blocked word
+    const normalized = allowlist.reduce((text, word) => text.split(word).join(' '), normalize(name));
+    return blocklist.some(word => normalized.includes(word));
+}
+
+// filter a name, returns the name to save or null if it's refused
+const filterName = (name) => {
+    if (!isBlockedName(name)) { return name; }
+
+    return filterMode === 'mask' ?
+    name.replace(/[^\s]/g, '*') :
+    null;
+}
+
+export {
+    isBlockedName,
+    filterName
+};
@@ -0,0 +1,167 @@
+import * as fs from 'fs';
+import * as path from 'path';
+
+import { validate, schemas } from './schema';
+
+// Builds an OpenAPI 3.0 document of the backend from the declarations
+// routes pass to validate(), see schema.js, and serves it at /openapi.json.
+// documentRoutes() has to run before any route is added, so every
+// route is seen as it's added.
+
+const routeMethods = ['get', 'post', 'put', 'patch', 'delete'];
+
+const packageFile = path.resolve(__dirname, '../package.json');
+
+// How declarations name the secrets a route needs
+const securitySchemes = {
+    admin: {
+        type: 'http',
+        scheme: 'bearer',
+        description: 'The admin secret, LEADERBOARD_ADMIN_SECRET',
+    },
+    player: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-Player-Secret',
+        description: 'The player\'s secret, registered players have to send it. It can be sent as playerSecret in the body instead',
+    },
+};
+
+// routes seen so far, as { method, paths, spec }
+const routes = [];
+
+// find the declaration among a route's handlers, which can be nested in lists
+const findSpec = handlers => handlers
+    .reduce((flat, handler) => flat.concat(handler), [])
+    .map(handler => handler && handler.spec)
+    .find(spec => spec);
+
+// Record the declaration of every route added to the app from now on
+const documentRoutes = (app) => {
+    routeMethods.forEach((method) => {
+        const add = app[method];
+
+        app[method] = function (...args) {
+            // app.get(name) reads a setting
+            if (method === 'get' && args.length === 1) { return add.apply(this, args); }
+
+            const [paths, ...handlers] = args;
+            const spec = findSpec(handlers);
+            if (spec) {
+                routes.push({ method, paths: [].concat(paths), spec });
+            }
+
+            return add.apply(this, args);
+        };
+    });
+}
+
+// express writes parameters as :name, OpenAPI as {name}
+const openapiPath = route => route.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+
+const pathParameters = route => (route.match(/:([A-Za-z0-9_]+)/g) || [])
+    .map(param => param.slice(1));
+
+const jsonContent = schema => ({ 'application/json': { schema } });
+
+// Describe one method of one path
+const operation = (route, { summary, description, security, params = {}, query = {}, body, produces, responses = {} }) => {
+    const parameters = [
+        ...pathParameters(route).map(name => ({
+            name,
+            in: 'path',
+            required: true,
+            schema: params[name] || { type: 'string' },
+        })),
+        ...Object.keys(query).map(name => ({
+            name,
+            in: 'query',
+            required: false,
+            schema: query[name],
+        })),
+    ];
+
+    const documented = {};
+    Object.keys(responses).forEach((status) => {
+        const response = responses[status];
+
+        // errors are declared by their description, and all share one body
+        if (typeof response === 'string') {
+            documented[status] = { description: response, content: jsonContent(schemas.failure) };
+            return;
+        }
+
+        const content = status < 300 && produces ?
+        [].concat(produces).reduce((types, type) => ({
+            ...types,
+            [type]: { schema: type === 'application/json' ? response : { type: 'string' } },
+        }), {}) :
+        jsonContent(response);
+
+        documented[status] = { description: response.description || 'Success', content };
+    });
+
+    if (!documented[400] && (body || Object.keys(params).length > 0 || Object.keys(query).length > 0)) {
+        documented[400] = { description: 'Invalid request', content: jsonContent(schemas.failure) };
+    }
+
+    return {
+        summary,
+        ...(description ? { description } : {}),
+        ...(security ? { security: [{ [security]: [] }] } : {}),
+        ...(parameters.length > 0 ? { parameters } : {}),
+        ...(body ? { requestBody: { required: true, content: jsonContent(body) } } : {}),
+        responses: documented,
+    };
+}
+
+// Build the document from the routes seen so far
+const openapiDocument = () => {
+    let version = '1.0.0';
+    try {
+        version = JSON.parse(fs.readFileSync(packageFile, 'utf8')).version;
+    } catch (err) {
+        // keep the default
+    }
+
+    const paths = {};
+    routes.forEach(({ method, paths: routePaths, spec }) => {
+        routePaths.forEach((route) => {
+            const key = openapiPath(route);
+            paths[key] = {
+                ...paths[key],
+                [method]: operation(route, spec),
+            };
+        });
+    });
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Leaderboard backend',
+            version,
+        },
+        paths,
+        components: { securitySchemes },
+    };
+}
+
+export default function (app) {
+    let document = null;
+
+    // Every route is added by the time this is first asked for,
+    // so the document is built once
+    app.get('/openapi.json', validate({
+        summary: 'This document',
+        responses: {
+            200: { type: 'object', required: ['openapi', 'info', 'paths'] },
+        },
+    }), (req, res) => {
+        if (!document) { document = openapiDocument(); }
+        res.status(200).json(document);
+    });
+}
+
+export {
+    documentRoutes
+};
@@ -0,0 +1,24 @@
+// Helpers for reading request parameters
+
+// Read a non-negative integer query parameter, or use the fallback
+const intParam = (value, fallback) => {
+    const n = parseInt(value, 10);
+    return isNaN(n) || n < 0 ? fallback : n;
+}
+
+// Read a number from a JSON body, or from a
+// string when the body was sent urlencoded
+const numberParam = (value) => {
+    if (typeof value === 'number') { return value; }
+    if (typeof value === 'string' && value.trim() !== '') { return Number(value); }
+    return NaN;
+}
+
+// Player ids are generated by the client and kept on the device
+const isPlayerId = id => typeof id === 'string' && /^[A-Za-z0-9_-]{8,64}$/.test(id);
+
+export {
+    intParam,
+    numberParam,
+    isPlayerId
+};
@@ -0,0 +1,47 @@
+// Time windows on the UTC calendar, used to filter scores by date
+// and to decide when seasons end
+
+// Time windows that scores can be filtered by
+const periods = ['daily', 'weekly', 'monthly', 'all'];
+
+// Get the start of the current period in seconds, matching dateCreated.
+// Periods follow the UTC calendar, so 'daily' means since midnight UTC
+// and 'weekly' means since Monday.
+const periodStart = (period, now = new Date()) => {
+    const day = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+
+    if (period === 'daily') {
+        return day / 1000;
+    }
+    if (period === 'weekly') {
+        const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+        return (day - daysSinceMonday * 24 * 60 * 60 * 1000) / 1000;
+    }
+    if (period === 'monthly') {
+        return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1) / 1000;
+    }
+    return 0;
+}
+
+// Get the end of the current period in seconds, which is the start of the
+// next one. The 'all' period never ends, so this returns null for it.
+const periodEnd = (period, now = new Date()) => {
+    const start = periodStart(period, now);
+
+    if (period === 'daily') {
+        return start + 24 * 60 * 60;
+    }
+    if (period === 'weekly') {
+        return start + 7 * 24 * 60 * 60;
+    }
+    if (period === 'monthly') {
+        return Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1) / 1000;
+    }
+    return null;
+}
+
+export {
+    periods,
+    periodStart,
+    periodEnd
+};
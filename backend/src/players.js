@@ -0,0 +1,371 @@
+import crypto from 'crypto';
+
+import { getStore } from './storage';
+import rateLimit from './rateLimit';
+import { isPlayerId } from './params';
+import { filterName } from './nameFilter';
+import { validate, schemas } from './schema';
+
+// Players are anonymous. The frontend creates a random player id and
+// secret the first time it runs and keeps them on the device. The first
+// request sending both registers the player in the 'players' collection,
+// with a hash of the secret. From then on, requests for that player id
+// have to send the same secret, in the body as playerSecret or in the
+// X-Player-Secret header.
+//
+// A registered player's display name is reserved for them in the
+// 'playerNames' collection, so no one else can save scores under it.
+// Each player holds one name, saving under a new name releases the old one.
+//
+// Players can create a recovery code to move their identity, and their
+// name, to another device. Codes are kept hashed in 'playerRecoveryCodes'
+// and work once.
+
+// Letters and numbers that are hard to mix up when read out loud
+const codeAlphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Recovery attempts allowed per minute from one ip
+// address, so codes can't be guessed
+const recoverLimitPerIp = parseInt(process.env.RECOVER_LIMIT_PER_IP, 10) || 10;
+
+const maxNameLength = 32;
+
+const isSecret = secret => typeof secret === 'string' && /^[A-Za-z0-9_-]{32,128}$/.test(secret);
+
+const hash = value => crypto
+    .createHash('sha256')
+    .update(value)
+    .digest('hex');
+
+const matchesHash = (value, expected) => {
+    const a = Buffer.from(hash(value));
+    const b = Buffer.from(String(expected));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// recovery codes look like ABCD-EFGH-JKLM
+const randomRecoveryCode = () => Array.from(crypto.randomBytes(12))
+    .map(byte => codeAlphabet[byte % codeAlphabet.length])
+    .join('')
+    .match(/.{4}/g)
+    .join('-');
+
+const normalizeRecoveryCode = code => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// Names are reserved ignoring case, spaces and punctuation,
+// so 'Bob', 'bob' and 'B.o.b' are the same name
+const nameKey = name => String(name)
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[\s!-/:-@[-`{-~]+/g, '');
+
+// Read the player secret sent with a request
+const secretFrom = req => (req.body && req.body.playerSecret) || req.get('X-Player-Secret');
+
+// Check a player id and secret, registering the player if they're new.
+// Returns { player }, where player is null for ids sent without a secret
+// that were never registered, or { status, error } when the secret is wrong
+const identify = async (playerId, secret) => {
+    const database = getStore();
+    const player = await database.get('players', playerId);
+
+    if (player) {
+        if (!isSecret(secret) || !matchesHash(secret, player.secretHash)) {
+            return { status: 401, error: 'Invalid player secret' };
+        }
+        return { player };
+    }
+
+    if (!isSecret(secret)) {
+        return { player: null };
+    }
+
+    const registered = {
+        secretHash: hash(secret),
+        name: null,
+        nameKey: null,
+        dateCreated: Math.round(Date.now() / 1000),
+    };
+
+    // The insert only lets one of two first requests register,
+    // the other is checked against the secret that did
+    if (!(await database.insert('players', playerId, registered))) {
+        return identify(playerId, secret);
+    }
+
+    return { player: { ...registered, _id: playerId } };
+}
+
+// Middleware checking the secret of the player id in the route or body,
+// and setting req.player to the registered player, or null. Routes check
+// the format of their player ids themselves
+const playerAuth = async (req, res, next) => {
+    const playerId = req.params.playerId || (req.body && req.body.playerId);
+
+    if (!isPlayerId(playerId)) {
+        req.player = null;
+        next();
+        return;
+    }
+
+    const { player, status, error } = await identify(playerId, secretFrom(req));
+    if (error) {
+        res.status(status).json({
+            success: false,
+            error,
+        });
+        return;
+    }
+
+    req.player = player;
+    next();
+}
+
+// Middleware for routes that only work for registered players
+const requirePlayer = (req, res, next) => {
+    if (!req.player) {
+        res.status(401).json({
+            success: false,
+            error: 'playerId and playerSecret are required',
+        });
+        return;
+    }
+    next();
+}
+
+// Check a name can be saved by a player, pass null for
+// anonymous saves, which can only use names no one holds
+const canUseName = async (name, player) => {
+    const key = nameKey(name);
+    if (!key) { return true; }
+
+    const reserved = await getStore().get('playerNames', key);
+    return !reserved || (!!player && reserved.playerId === player._id);
+}
+
+// Reserve a name for a registered player, releasing the name they held.
+// Resolves false when another player holds the name
+const reserveName = async (player, name) => {
+    const database = getStore();
+    const key = nameKey(name);
+    if (!key) { return true; }
+
+    if (player.nameKey !== key) {
+        // The insert only lets one player claim a free name, canUseName()
+        // can pass for two players saving the same name at once
+        const claimed = await database.insert('playerNames', key, {
+            playerId: player._id,
+            dateReserved: Math.round(Date.now() / 1000),
+        });
+        if (!claimed) {
+            const held = await database.get('playerNames', key);
+            if (!held || held.playerId !== player._id) { return false; }
+        }
+
+        if (player.nameKey) {
+            const held = await database.get('playerNames', player.nameKey);
+            if (held && held.playerId === player._id) {
+                await database.delete('playerNames', player.nameKey);
+            }
+        }
+    }
+
+    await database.update('players', player._id, { name, nameKey: key });
+    player.name = name;
+    player.nameKey = key;
+
+    return true;
+}
+
+// Remove a player, their name and their recovery code
+const forgetPlayer = async (playerId) => {
+    const database = getStore();
+    const player = await database.get('players', playerId);
+    if (!player) { return; }
+
+    if (player.nameKey) {
+        const held = await database.get('playerNames', player.nameKey);
+        if (held && held.playerId === playerId) {
+            await database.delete('playerNames', player.nameKey);
+        }
+    }
+    if (player.recoveryHash && await database.get('playerRecoveryCodes', player.recoveryHash)) {
+        await database.delete('playerRecoveryCodes', player.recoveryHash);
+    }
+
+    await database.delete('players', playerId);
+}
+
+// Route parameters and body of the routes for a registered player
+const playerParams = { playerId: schemas.playerId };
+
+const secretBody = (properties = {}, required = []) => ({
+    type: 'object',
+    required,
+    properties: {
+        playerSecret: schemas.playerSecret,
+        ...properties,
+    },
+});
+
+export default function (app) {
+    // Get the player's reserved name
+    app.get('/players/:playerId', validate({
+        summary: 'Get a player',
+        security: 'player',
+        params: playerParams,
+        responses: {
+            200: schemas.success({
+                playerId: schemas.playerId,
+                name: { type: 'string', nullable: true },
+                hasRecoveryCode: { type: 'boolean' },
+            }),
+            401: 'playerId and playerSecret are required, or invalid player secret',
+        },
+    }), playerAuth, requirePlayer, async (req, res) => {
+        res.status(200).json({
+            success: true,
+            playerId: req.player._id,
+            name: req.player.name,
+            hasRecoveryCode: !!req.player.recoveryHash,
+        });
+    });
+
+    // Reserve a name before saving a score with it
+    app.post('/players/:playerId/name', validate({
+        summary: 'Reserve a name',
+        security: 'player',
+        params: playerParams,
+        body: secretBody({
+            name: {
+                type: 'string',
+                pattern: '\\S',
+                'x-pattern': 'more than spaces',
+                maxLength: maxNameLength,
+                description: 'The name to reserve',
+            },
+        }, ['name']),
+        responses: {
+            200: schemas.success({ name: { type: 'string' } }),
+            401: 'playerId and playerSecret are required, or invalid player secret',
+            409: 'name is reserved by another player',
+        },
+    }), playerAuth, requirePlayer, async (req, res) => {
+        const { name } = req.body;
+        const filtered = filterName(name.trim());
+        if (!filtered) {
+            res.status(400).json({
+                success: false,
+                error: 'name is not allowed',
+            });
+            return;
+        }
+
+        if (!(await canUseName(filtered, req.player)) || !(await reserveName(req.player, filtered))) {
+            res.status(409).json({
+                success: false,
+                error: 'name is reserved by another player',
+            });
+            return;
+        }
+
+        res.status(200).json({
+            success: true,
+            name: filtered,
+        });
+    });
+
+    // Create a recovery code, replacing the player's last one. The
+    // code is only shown now, the player has to write it down
+    app.post('/players/:playerId/recovery', validate({
+        summary: 'Create a recovery code',
+        security: 'player',
+        params: playerParams,
+        body: secretBody(),
+        responses: {
+            200: schemas.success({
+                recoveryCode: { type: 'string', description: 'A code like ABCD-EFGH-JKLM' },
+            }),
+            401: 'playerId and playerSecret are required, or invalid player secret',
+        },
+    }), playerAuth, requirePlayer, async (req, res) => {
+        const database = getStore();
+        const recoveryCode = randomRecoveryCode();
+        const recoveryHash = hash(normalizeRecoveryCode(recoveryCode));
+
+        if (req.player.recoveryHash && await database.get('playerRecoveryCodes', req.player.recoveryHash)) {
+            await database.delete('playerRecoveryCodes', req.player.recoveryHash);
+        }
+
+        await database.set('playerRecoveryCodes', recoveryHash, { playerId: req.player._id });
+        await database.update('players', req.player._id, { recoveryHash });
+
+        res.status(200).json({
+            success: true,
+            recoveryCode,
+        });
+    });
+
+    const recoverLimit = rateLimit({
+        windowMs: 60 * 1000,
+        max: recoverLimitPerIp,
+        key: req => req.ip,
+        message: 'Too many recovery attempts, try again later',
+    });
+
+    // Take over a player identity on this device with its recovery code.
+    // The new secret replaces the old one, so other devices are signed out
+    app.post('/players/recover', recoverLimit, validate({
+        summary: 'Recover a player with their recovery code',
+        body: secretBody({
+            recoveryCode: { type: 'string', description: 'The code from /players/{playerId}/recovery' },
+            playerSecret: {
+                ...schemas.playerSecret,
+                description: 'A new secret created on this device',
+            },
+        }, ['recoveryCode', 'playerSecret']),
+        responses: {
+            200: schemas.success({
+                playerId: schemas.playerId,
+                name: { type: 'string', nullable: true },
+            }),
+            404: 'Invalid recovery code',
+            429: 'Too many recovery attempts',
+        },
+    }), async (req, res) => {
+        const { recoveryCode, playerSecret } = req.body;
+
+        const database = getStore();
+        const recoveryHash = hash(normalizeRecoveryCode(recoveryCode));
+        const recovery = await database.get('playerRecoveryCodes', recoveryHash);
+        const player = recovery && await database.get('players', recovery.playerId);
+
+        if (!player) {
+            res.status(404).json({
+                success: false,
+                error: 'Invalid recovery code',
+            });
+            return;
+        }
+
+        await database.delete('playerRecoveryCodes', recoveryHash);
+        await database.update('players', recovery.playerId, {
+            secretHash: hash(playerSecret),
+            recoveryHash: null,
+        });
+
+        res.status(200).json({
+            success: true,
+            playerId: recovery.playerId,
+            name: player.name,
+        });
+    });
+}
+
+export {
+    playerAuth,
+    requirePlayer,
+    canUseName,
+    reserveName,
+    forgetPlayer
+};
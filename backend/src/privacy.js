@@ -0,0 +1,245 @@
+import crypto from 'crypto';
+
+import { getStore } from './storage';
+import { leaderboardIndex } from './leaderboardIndex';
+import { requireAdmin } from './auth';
+import { boards, collectionFor, replayCollectionFor } from './boards';
+import { deleteReplay } from './replays';
+import { leaveGroups } from './groups';
+import { playerAuth, requirePlayer, forgetPlayer } from './players';
+import { validate, schemas } from './schema';
+import { log } from './logging';
+
+// Private attributes (like an email address) are encrypted at rest with
+// AES-256-GCM, using a key derived from PRIVATE_DATA_KEY. Without a key,
+// private attributes aren't stored at all.
+//
+// Records with an email also keep a keyed hash of it, so their data can be
+// found and deleted by email without decrypting every record.
+//
+// PRIVATE_DATA_RETENTION_DAYS sets how long private attributes are kept,
+// older ones are purged once a day.
+
+const key = process.env.PRIVATE_DATA_KEY ?
+crypto.createHash('sha256').update(process.env.PRIVATE_DATA_KEY).digest() :
+null;
+
+const retentionDays = parseInt(process.env.PRIVATE_DATA_RETENTION_DAYS, 10) || 0;
+
+// Time between purges of expired private data
+const purgeInterval = 24 * 60 * 60 * 1000;
+
+// Prefix marking the version of the encrypted format
+const version = 'v1';
+
+const canStorePrivateData = () => !!key;
+
+// Hash an email so it can be looked up, but not read
+const emailHash = email => crypto
+    .createHmac('sha256', key)
+    .update(String(email).trim().toLowerCase())
+    .digest('hex');
+
+// Encrypt private attributes for storage. Returns the fields to store
+// on the record, which are empty if there's nothing to store
+const sealPrivateAttributes = (attributes) => {
+    if (!attributes || !key || Object.keys(attributes).length === 0) { return {}; }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(attributes), 'utf8'), cipher.final()]);
+
+    return {
+        privateAttributes: [
+            version,
+            iv.toString('base64'),
+            cipher.getAuthTag().toString('base64'),
+            data.toString('base64'),
+        ].join('.'),
+        ...(attributes.email ? { emailHash: emailHash(attributes.email) } : {}),
+    };
+}
+
+// Decrypt private attributes from a stored record
+const openPrivateAttributes = (sealed) => {
+    // records saved before encryption hold plain attributes
+    if (sealed && typeof sealed === 'object') { return sealed; }
+
+    if (!sealed || !key || typeof sealed !== 'string') { return undefined; }
+
+    const [format, iv, tag, data] = sealed.split('.');
+    if (format !== version) { return undefined; }
+
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+        const text = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+        return JSON.parse(text.toString('utf8'));
+    } catch (err) {
+        return undefined;
+    }
+}
+
+// Copy a record without its private data
+const withoutPrivateData = (record) => {
+    const copy = { ...record };
+    delete copy._id;
+    delete copy.privateAttributes;
+    delete copy.emailHash;
+    return copy;
+}
+
+// Delete every leaderboard record matching a filter, on every board
+const deleteRecords = async (matches) => {
+    const database = getStore();
+    let deleted = 0;
+
+    for (const board of boards) {
+        const collection = collectionFor(board);
+        const records = (await database.getAll(collection)).filter(matches);
+
+        for (const record of records) {
+            await database.delete(collection, record._id);
+            await deleteReplay(replayCollectionFor(board), record._id);
+            deleted += 1;
+        }
+
+        if (records.length > 0) {
+            leaderboardIndex(collection).invalidate();
+        }
+    }
+
+    return deleted;
+}
+
+// Delete a player's cloud save, if they have one
+const deleteSave = async (playerId) => {
+    const database = getStore();
+    if (await database.get('playerSaves', playerId)) {
+        await database.delete('playerSaves', playerId);
+    }
+}
+
+// Remove private attributes older than the retention setting
+const purgeExpiredPrivateData = async () => {
+    if (!retentionDays) { return 0; }
+
+    const database = getStore();
+    const cutoff = Math.round(Date.now() / 1000) - retentionDays * 24 * 60 * 60;
+    let purged = 0;
+
+    for (const board of boards) {
+        const collection = collectionFor(board);
+        const records = (await database.getAll(collection))
+            .filter(r => r.privateAttributes && r.dateCreated < cutoff);
+
+        for (const record of records) {
+            await database.set(collection, record._id, withoutPrivateData(record));
+            purged += 1;
+        }
+    }
+
+    return purged;
+}
+
+// Purge now, and then once a day
+const schedulePurge = () => {
+    if (!retentionDays) { return; }
+
+    const purge = () => purgeExpiredPrivateData()
+        .then(purged => purged > 0 && log({ type: 'info', message: 'purged expired private data', records: purged }))
+        .catch(err => log({ type: 'error', message: 'private data purge failed', error: err.message }));
+
+    purge();
+    const timer = setInterval(purge, purgeInterval);
+    if (timer.unref) { timer.unref(); }
+}
+
+export default function (app) {
+    // Players can delete their own records and cloud save, and
+    // leave their groups, with the id kept on their device
+    // Players have to send their secret in the X-Player-Secret header
+    app.delete('/privacy/player/:playerId', validate({
+        summary: 'Delete a player\'s data',
+        security: 'player',
+        params: { playerId: schemas.playerId },
+        responses: {
+            200: schemas.success({ deleted: { type: 'integer', description: 'Number of records deleted' } }),
+            401: 'playerSecret is required, or invalid player secret',
+        },
+    }), playerAuth, requirePlayer, async (req, res) => {
+        const deleted = await deleteRecords(r => r.playerId === req.params.playerId);
+        await deleteSave(req.params.playerId);
+        await leaveGroups(req.params.playerId);
+        await forgetPlayer(req.params.playerId);
+
+        res.status(200).json({
+            success: true,
+            deleted,
+        });
+    });
+
+    // Admins can delete records by player id or email, for requests
+    // that come in some other way
+    app.post('/admin/privacy/delete', requireAdmin, validate({
+        summary: 'Delete a player\'s data by player id or email',
+        security: 'admin',
+        body: {
+            type: 'object',
+            description: 'Send playerId, email, or both',
+            properties: {
+                playerId: { type: 'string' },
+                email: { type: 'string', description: 'Needs PRIVATE_DATA_KEY to be set' },
+            },
+        },
+        responses: {
+            200: schemas.success({ deleted: { type: 'integer', description: 'Number of records deleted' } }),
+        },
+    }), async (req, res) => {
+        const { playerId, email } = req.body;
+
+        if (typeof playerId !== 'string' && typeof email !== 'string') {
+            res.status(400).json({
+                success: false,
+                error: 'playerId or email is required',
+            });
+            return;
+        }
+
+        if (typeof email === 'string' && !canStorePrivateData()) {
+            res.status(400).json({
+                success: false,
+                error: 'Records can only be found by email when PRIVATE_DATA_KEY is set',
+            });
+            return;
+        }
+
+        const hash = typeof email === 'string' ? emailHash(email) : null;
+        const deleted = await deleteRecords(r =>
+            (typeof playerId === 'string' && r.playerId === playerId) ||
+            (hash && r.emailHash === hash) ||
+            // records saved before encryption have a plain email and no hash
+            (hash && !r.emailHash && typeof r.privateAttributes === 'object' &&
+                !!r.privateAttributes && !!r.privateAttributes.email &&
+                emailHash(r.privateAttributes.email) === hash)
+        );
+        if (typeof playerId === 'string') {
+            await deleteSave(playerId);
+            await leaveGroups(playerId);
+            await forgetPlayer(playerId);
+        }
+
+        res.status(200).json({
+            success: true,
+            deleted,
+        });
+    });
+}
+
+export {
+    canStorePrivateData,
+    sealPrivateAttributes,
+    openPrivateAttributes,
+    purgeExpiredPrivateData,
+    schedulePurge
+};
@@ -0,0 +1,49 @@
+// Fixed window rate limiting kept in memory. Each limiter counts requests
+// per key (an ip address, a player name, ...) and answers 429 with a
+// Retry-After header once a key goes over its limit for the window.
+
+// create a rate limiting middleware
+//   windowMs: length of a window in milliseconds
+//   max: requests allowed per key in each window
+//   key: function taking the request and returning its key, requests
+//        without a key aren't counted
+//   message: error returned with the 429
+const rateLimit = ({ windowMs, max, key, message = 'Too many requests' }) => {
+    const windows = new Map();
+
+    // drop finished windows now and then so the map doesn't grow forever
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        windows.forEach((window, k) => {
+            if (window.reset <= now) { windows.delete(k); }
+        });
+    }, windowMs);
+    if (sweep.unref) { sweep.unref(); }
+
+    return (req, res, next) => {
+        const k = key(req);
+        if (!k) { return next(); }
+
+        const now = Date.now();
+        let window = windows.get(k);
+        if (!window || window.reset <= now) {
+            window = { count: 0, reset: now + windowMs };
+            windows.set(k, window);
+        }
+
+        window.count += 1;
+
+        if (window.count > max) {
+            res.set('Retry-After', String(Math.ceil((window.reset - now) / 1000)));
+            res.status(429).json({
+                success: false,
+                error: message,
+            });
+            return;
+        }
+
+        next();
+    };
+}
+
+export default rateLimit;
@@ -0,0 +1,306 @@
+import bodyParser from 'body-parser';
+
+import { getStore } from './storage';
+import { updateStep, simulate } from './simulation';
+import { validate, schemas } from './schema';
+
+// Run replays are saved with scores, in a collection next to the board's
+// records and under the same ids, see replayCollectionFor in boards.js.
+// Verifying a replay plays it back with simulation.js, and flags the
+// record when the replayed score doesn't match the saved one, or the run
+// is longer than the score session it was saved with. Records saved
+// without a replay are marked unverified, see leaderboard.js.
+//
+// Replays are verified by admins with /admin/leaderboard/verify, or as
+// they're saved when REPLAY_VERIFY_ON_SAVE is 'true'.
+
+// Replay format the game sends, see frontend/game/helpers/replay.js.
+// Replays saved in older formats can still be played back
+const replayVersion = 2;
+
+// Largest replay in bytes, as JSON
+const maxReplaySize = parseInt(process.env.REPLAY_MAX_BYTES, 10) || 512 * 1024;
+
+// Most updates played back for one replay, an hour of play
+const maxReplayFrames = Math.ceil(60 * 60 * 1000 / updateStep);
+
+// Milliseconds a replay can run past its score session,
+// for the time between starting the session and the first frame
+const durationTolerance = 5 * 1000;
+
+const verifyOnSave = process.env.REPLAY_VERIFY_ON_SAVE === 'true';
+
+// Body parser for saves with replays, which are larger than other
+// requests. Mount this before the app's own body parsers, see server.js
+const replayParsers = [
+    bodyParser.json({ limit: maxReplaySize + 10 * 1024 }),
+];
+
+const numbers = keys => ({
+    type: 'object',
+    required: keys,
+    properties: keys.reduce((properties, key) => ({ ...properties, [key]: { type: 'number' } }), {}),
+});
+
+// The shape of a replay, for the routes saving one
+const replaySchema = {
+    type: 'object',
+    nullable: true,
+    required: ['version', 'seed', 'step', 'screen', 'player', 'frames', 'scores'],
+    description: 'Recording of the run, see frontend/game/helpers/replay.js',
+    properties: {
+        version: { type: 'integer', enum: [replayVersion] },
+        seed: { type: 'integer' },
+        step: { type: 'number', description: 'Milliseconds each update moves the game forward' },
+        screen: numbers(['width', 'height', 'scale']),
+        player: numbers(['x', 'y', 'width', 'height', 'speed']),
+        frames: {
+            type: 'array',
+            description: 'Movement input of each update as [dx, dy], or [dx, dy, count] for input repeated count times',
+            items: {
+                type: 'array',
+                minItems: 2,
+                maxItems: 3,
+                items: { type: 'number' },
+            },
+        },
+        scores: {
+            type: 'array',
+            description: 'Points scored as [update, points], update is the number of updates played before them',
+            items: {
+                type: 'array',
+                minItems: 2,
+                maxItems: 2,
+                items: { type: 'number' },
+            },
+        },
+    },
+};
+
+// Check what replaySchema can't, a replay's size, step, frames and scores.
+// Returns an error message or null
+const replayError = (replay) => {
+    if (Buffer.byteLength(JSON.stringify(replay)) > maxReplaySize) {
+        return `replay must be at most ${maxReplaySize} bytes`;
+    }
+
+    // a longer step would move the player further each update
+    if (replay.step !== updateStep) {
+        return `replay step must be ${updateStep}`;
+    }
+
+    const { frames } = replay;
+    let frameCount = 0;
+    for (let i = 0; i < frames.length; i += 1) {
+        const frame = frames[i];
+        const valid = frame.length === 2 || (Number.isInteger(frame[2]) && frame[2] > 0);
+
+        if (!valid) {
+            return `replay frames[${i}] must be [dx, dy] or [dx, dy, count]`;
+        }
+
+        frameCount += frame.length === 3 ? frame[2] : 1;
+        if (frameCount > maxReplayFrames) {
+            return `replay can have at most ${maxReplayFrames} frames`;
+        }
+    }
+
+    const { scores } = replay;
+    for (let i = 0; i < scores.length; i += 1) {
+        const [update] = scores[i];
+        const previous = i > 0 ? scores[i - 1][0] : 0;
+
+        if (!Number.isInteger(update) || update < previous) {
+            return `replay scores[${i}] must be [update, points], with updates in order`;
+        }
+    }
+
+    return null;
+}
+
+// Play a replay back and compare it to the saved score and session
+const verifyReplay = ({ replay, score, sessionDuration }) => {
+    const result = simulate(replay);
+
+    let reason = null;
+    if (result.score !== score) {
+        reason = `Replayed score is ${result.score}, saved score is ${score}`;
+    } else if (result.duration > sessionDuration + durationTolerance) {
+        reason = 'Replay is longer than its score session';
+    }
+
+    return {
+        matched: !reason,
+        reason,
+        replayScore: result.score,
+        frames: result.frames,
+        dateVerified: Math.round(Date.now() / 1000),
+    };
+}
+
+// What verifyReplay() finds
+const verification = {
+    type: 'object',
+    required: ['matched', 'reason', 'replayScore', 'frames', 'dateVerified'],
+    properties: {
+        matched: { type: 'boolean' },
+        reason: { type: 'string', nullable: true },
+        replayScore: { type: 'number' },
+        frames: { type: 'integer' },
+        dateVerified: { type: 'integer' },
+    },
+};
+
+// Verify the stored replay of a record, flagging the
+// record when it doesn't match. Returns null without a replay
+const verifyRecord = async (board, id) => {
+    const database = getStore();
+    const stored = await database.get(board.replayCollection, id);
+    if (!stored) { return null; }
+
+    const verification = verifyReplay(stored);
+    await database.update(board.replayCollection, id, { verification });
+
+    if (await database.get(board.collection, id)) {
+        await database.update(board.collection, id, { flagged: !verification.matched });
+    }
+
+    return verification;
+}
+
+// Store the replay of a saved score
+//   sessionDuration: milliseconds the score session was open
+const saveReplay = async (board, id, replay, { score, sessionDuration }) => {
+    await getStore().set(board.replayCollection, id, {
+        replay,
+        score,
+        sessionDuration,
+        dateCreated: Math.round(Date.now() / 1000),
+    });
+
+    if (verifyOnSave) {
+        await verifyRecord(board, id);
+    }
+}
+
+// Remove a record's replay, if it has one
+const deleteReplay = async (replayCollection, id) => {
+    const database = getStore();
+    if (await database.get(replayCollection, id)) {
+        await database.delete(replayCollection, id);
+    }
+}
+
+// Admin routes for replays. Like the other admin routes they need the admin
+// secret and take a board query parameter, set up in admin.js
+export default function (app) {
+    // Get the replay of a record, with its last verification
+    app.get('/admin/leaderboard/:id/replay', validate({
+        summary: 'Get the replay of a record',
+        security: 'admin',
+        params: { id: { type: 'string' } },
+        query: { board: schemas.board },
+        responses: {
+            200: schemas.success({
+                board: { type: 'string' },
+                id: { type: 'string' },
+                score: { type: 'number' },
+                sessionDuration: { type: 'number', description: 'Milliseconds the score session was open' },
+                dateCreated: { type: 'integer' },
+                verification: { ...verification, nullable: true },
+                replay: replaySchema,
+            }),
+            404: 'Replay not found, or unknown leaderboard',
+        },
+    }), async (req, res) => {
+        const stored = await getStore().get(req.board.replayCollection, req.params.id);
+
+        if (!stored) {
+            res.status(404).json({
+                success: false,
+                error: 'Replay not found',
+            });
+            return;
+        }
+
+        const { replay, score, sessionDuration, dateCreated, verification } = stored;
+        res.status(200).json({
+            success: true,
+            board: req.board.key,
+            id: req.params.id,
+            score,
+            sessionDuration,
+            dateCreated,
+            verification: verification || null,
+            replay,
+        });
+    });
+
+    // Play replays back and flag records whose score doesn't match
+    app.post('/admin/leaderboard/verify', validate({
+        summary: 'Verify replays',
+        security: 'admin',
+        query: { board: schemas.board },
+        body: {
+            type: 'object',
+            properties: {
+                ids: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Record ids to verify, every replay that hasn\'t been verified yet without it',
+                },
+            },
+        },
+        responses: {
+            200: schemas.success({
+                board: { type: 'string' },
+                verified: { type: 'integer' },
+                flagged: { type: 'integer' },
+                results: {
+                    type: 'array',
+                    items: {
+                        ...verification,
+                        required: ['id', 'matched', 'reason'],
+                        properties: {
+                            id: { type: 'string' },
+                            ...verification.properties,
+                            matched: { type: 'boolean', nullable: true, description: 'null when the record has no replay' },
+                        },
+                    },
+                },
+            }),
+            404: 'Unknown leaderboard',
+        },
+    }), async (req, res) => {
+        const { ids } = req.body;
+
+        const toVerify = ids || (await getStore().getAll(req.board.replayCollection))
+            .filter(stored => !stored.verification)
+            .map(stored => stored._id);
+
+        const results = [];
+        for (const id of toVerify) {
+            const verification = await verifyRecord(req.board, id);
+            results.push(verification ?
+                { id, ...verification } :
+                { id, matched: null, reason: 'Replay not found' });
+        }
+
+        res.status(200).json({
+            success: true,
+            board: req.board.key,
+            verified: results.length,
+            flagged: results.filter(r => r.matched === false).length,
+            results,
+        });
+    });
+}
+
+export {
+    replayParsers,
+    replaySchema,
+    replayError,
+    verifyReplay,
+    saveReplay,
+    deleteReplay
+};
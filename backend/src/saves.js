@@ -0,0 +1,157 @@
+import bodyParser from 'body-parser';
+
+import { getStore } from './storage';
+import rateLimit from './rateLimit';
+import { intParam, numberParam } from './params';
+import { playerAuth, requirePlayer } from './players';
+import { validate, schemas } from './schema';
+
+// Cloud saves keep one JSON blob of progress per player id, in the
+// 'playerSaves' collection, so progress follows a player to other devices.
+//
+// Every save has a version, bumped on each write. A client sends the
+// version its save was based on. If another device wrote in the meantime
+// the versions differ, and the write with the later savedAt time wins.
+// The losing write gets a 409 with the save that won.
+//
+// Players have to send their secret to read or write their save,
+// the first request with a secret registers the player, see players.js
+
+// Largest save blob in bytes, as JSON
+const maxSaveSize = parseInt(process.env.CLOUD_SAVE_MAX_BYTES, 10) || 64 * 1024;
+
+// Save writes allowed per minute from one ip address
+const saveLimitPerIp = parseInt(process.env.CLOUD_SAVE_LIMIT_PER_IP, 10) || 30;
+
+// Body parser for saves, which can be larger than other requests.
+// Mount this before the app's own body parsers, see server.js
+const saveParsers = [
+    bodyParser.json({ limit: maxSaveSize + 1024 }),
+];
+
+// What clients see of a stored save
+const publicSave = ({ version, savedAt, dateUpdated, data }) => ({
+    version,
+    savedAt,
+    dateUpdated,
+    data,
+});
+
+const saveSchema = {
+    type: 'object',
+    required: ['version', 'savedAt', 'dateUpdated', 'data'],
+    properties: {
+        version: { type: 'integer', description: 'Bumped on every write' },
+        savedAt: { type: 'number', description: 'Time the progress was made on the device, in milliseconds' },
+        dateUpdated: { type: 'integer', description: 'Time the save was written, in seconds' },
+        data: { type: 'object' },
+    },
+};
+
+export default function (app) {
+    // Get a player's save
+    app.get('/saves/:playerId', validate({
+        summary: 'Get a player\'s save',
+        security: 'player',
+        params: { playerId: schemas.playerId },
+        responses: {
+            200: schemas.success({ save: saveSchema }),
+            401: 'playerSecret is required, or invalid player secret',
+            404: 'Save not found',
+        },
+    }), playerAuth, requirePlayer, async (req, res) => {
+        const save = await getStore().get('playerSaves', req.params.playerId);
+        if (!save) {
+            res.status(404).json({
+                success: false,
+                error: 'Save not found',
+            });
+            return;
+        }
+
+        res.status(200).json({
+            success: true,
+            save: publicSave(save),
+        });
+    });
+
+    const saveLimit = rateLimit({
+        windowMs: 60 * 1000,
+        max: saveLimitPerIp,
+        key: req => req.ip,
+        message: 'Too many saves, try again later',
+    });
+
+    // Write a player's save
+    app.put('/saves/:playerId', saveLimit, validate({
+        summary: 'Write a player\'s save',
+        security: 'player',
+        params: { playerId: schemas.playerId },
+        body: {
+            type: 'object',
+            required: ['data', 'savedAt'],
+            properties: {
+                playerSecret: schemas.playerSecret,
+                data: { type: 'object', description: `The save, any JSON object of at most ${maxSaveSize} bytes` },
+                version: {
+                    type: 'integer',
+                    minimum: 0,
+                    description: 'Version of the save this one is based on, 0 or left out for a first save',
+                },
+                savedAt: { type: 'number', description: 'Time the progress was made on the device, in milliseconds' },
+            },
+        },
+        responses: {
+            200: schemas.success({
+                conflict: { type: 'boolean', description: 'true when this save replaced one from another device' },
+                save: saveSchema,
+            }),
+            401: 'playerSecret is required, or invalid player secret',
+            409: 'A newer save exists, the response has the save that won',
+            429: 'Too many saves',
+        },
+    }), playerAuth, requirePlayer, async (req, res) => {
+        if (Buffer.byteLength(JSON.stringify(req.body.data)) > maxSaveSize) {
+            res.status(400).json({
+                success: false,
+                error: `data must be at most ${maxSaveSize} bytes`,
+            });
+            return;
+        }
+
+        const database = getStore();
+        const now = Date.now();
+        const current = await database.get('playerSaves', req.params.playerId);
+        const currentVersion = current ? current.version : 0;
+
+        // a device clock running fast shouldn't win every conflict
+        const savedAt = Math.min(numberParam(req.body.savedAt), now);
+        const conflict = intParam(req.body.version, 0) !== currentVersion;
+
+        if (conflict && current && savedAt <= current.savedAt) {
+            res.status(409).json({
+                success: false,
+                error: 'A newer save exists',
+                save: publicSave(current),
+            });
+            return;
+        }
+
+        const save = {
+            version: currentVersion + 1,
+            savedAt,
+            dateUpdated: Math.round(now / 1000),
+            data: req.body.data,
+        };
+        await database.set('playerSaves', req.params.playerId, save);
+
+        res.status(200).json({
+            success: true,
+            // true when this save replaced one from another device
+            conflict,
+            save: publicSave(save),
+        });
+    });
+}
+
+export { saveParsers };
@@ -0,0 +1,356 @@
+import { log } from './logging';
+
+// Routes declare the requests they take and the responses they send as
+// JSON schemas, the subset OpenAPI 3.0 understands. validate() turns a
+// route's declaration into middleware that answers invalid requests with
+// a 400 listing every field that's wrong, and openapi.js builds the API
+// document from the same declarations.
+//
+// A declaration looks like:
+//   {
+//       summary: 'Save a score',
+//       security: 'admin' or 'player', see openapi.js
+//       params: { board: { type: 'string' } },
+//       query: { offset: { type: 'integer', minimum: 0 } },
+//       body: { type: 'object', required: [...], properties: {...} },
+//       produces: content types of the success response, json by default
+//       responses: { 200: schema, 404: 'Record not found' },
+//   }
+//
+// Route parameters, query strings and urlencoded bodies are read as the
+// type their schema asks for, so '10' passes as an integer. The request
+// itself isn't changed, routes still read their own parameters.
+//
+// Outside production, responses are checked against their schema too and
+// mismatches are logged, so the document doesn't drift from the routes.
+
+const checkResponses = process.env.NODE_ENV !== 'production';
+
+const typeOf = (value) => {
+    if (value === null) { return 'null'; }
+    if (Array.isArray(value)) { return 'array'; }
+    return typeof value;
+}
+
+const isType = (type, value) => {
+    if (type === 'integer') { return Number.isInteger(value); }
+    if (type === 'number') { return typeof value === 'number' && isFinite(value); }
+    return typeOf(value) === type;
+}
+
+const typeNames = {
+    string: 'a string',
+    number: 'a number',
+    integer: 'an integer',
+    boolean: 'true or false',
+    object: 'an object',
+    array: 'a list',
+    null: 'null',
+};
+
+// Read a string as the type a schema asks for
+const coerce = (schema, value) => {
+    if (typeof value !== 'string') { return value; }
+
+    const types = [].concat(schema.type || []);
+    if ((types.includes('number') || types.includes('integer')) && value.trim() !== '' && isFinite(Number(value))) {
+        return Number(value);
+    }
+    if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+}
+
+const fieldName = (parent, key) => parent ? `${parent}.${key}` : key;
+
+// Check a value against a schema, pushing { field, message } to errors
+const check = (schema, raw, field, options, errors) => {
+    const value = options.coerce ? coerce(schema, raw) : raw;
+    const fail = message => errors.push({ field, message });
+
+    if (value === null && schema.nullable) { return; }
+
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some(type => isType(type, value))) {
+        fail(`must be ${types.map(type => typeNames[type]).join(' or ')}`);
+        return;
+    }
+
+    if (schema.anyOf && !schema.anyOf.some(option => validateValue(option, raw, options).length === 0)) {
+        fail(`must be ${schema.anyOf.map(option => typeNames[option.type] || 'valid').join(' or ')}`);
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of ${schema.enum.join(', ')}`);
+        return;
+    }
+
+    if (typeof value === 'string') {
+        if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+            fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        } else if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+            fail(`must be at most ${schema.maxLength} characters`);
+        } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            // x-pattern says what the pattern means, in words
+            fail(`must be ${schema['x-pattern'] || `like ${schema.pattern}`}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (typeof schema.minimum === 'number' && value < schema.minimum) {
+            fail(`must be at least ${schema.minimum}`);
+        } else if (typeof schema.maximum === 'number' && value > schema.maximum) {
+            fail(`must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+            fail(`must have at least ${schema.minItems} items`);
+            return;
+        }
+        if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+            fail(`must have at most ${schema.maxItems} items`);
+            return;
+        }
+        if (schema.items) {
+            value.forEach((item, i) => check(schema.items, item, `${field}[${i}]`, options, errors));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        const keys = Object.keys(value);
+
+        if (typeof schema.maxProperties === 'number' && keys.length > schema.maxProperties) {
+            fail(`can have at most ${schema.maxProperties} fields`);
+            return;
+        }
+
+        (schema.required || [])
+            .filter(key => typeof value[key] === 'undefined')
+            .forEach(key => errors.push({ field: fieldName(field, key), message: 'is required' }));
+
+        keys.forEach((key) => {
+            if (typeof value[key] === 'undefined') { return; }
+
+            if (properties[key]) {
+                check(properties[key], value[key], fieldName(field, key), options, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ field: fieldName(field, key), message: 'is not allowed' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                check(schema.additionalProperties, value[key], fieldName(field, key), options, errors);
+            }
+        });
+    }
+}
+
+// Check a value against a schema, returns a list of { field, message }
+//   coerce: read strings as the type the schema asks for
+const validateValue = (schema, value, { coerce: coerceStrings = false } = {}) => {
+    const errors = [];
+    check(schema, value, '', { coerce: coerceStrings }, errors);
+    return errors;
+}
+
+// Route parameters and query strings are declared as a map of
+// parameter names to schemas, check them as an object
+const parameterSchema = parameters => ({
+    type: 'object',
+    properties: parameters,
+});
+
+// Check the parts of a request a route declared, returns
+// a list of { in, field, message }
+const requestErrors = (spec, req) => {
+    const errors = [];
+    const collect = (location, schema, value, options) => {
+        validateValue(schema, value, options)
+            .forEach(error => errors.push({ in: location, ...error }));
+    };
+
+    if (spec.params) {
+        collect('path', parameterSchema(spec.params), req.params, { coerce: true });
+    }
+    if (spec.query) {
+        collect('query', parameterSchema(spec.query), req.query, { coerce: true });
+    }
+
+    // bodies that aren't JSON or urlencoded, like CSV
+    // imports, come in as text and are left to the route
+    if (spec.body && typeof req.body !== 'string') {
+        collect('body', spec.body, req.body || {}, { coerce: !!req.is('urlencoded') });
+    }
+
+    return errors;
+}
+
+// Log responses that don't match the route's declaration
+const watchResponse = (spec, req, res) => {
+    const json = res.json;
+
+    res.json = function (body) {
+        const schema = spec.responses && spec.responses[res.statusCode];
+
+        if (schema && typeof schema === 'object') {
+            const errors = validateValue(schema, body);
+            if (errors.length > 0) {
+                log({
+                    type: 'schema',
+                    method: req.method,
+                    path: req.originalUrl.split('?')[0],
+                    status: res.statusCode,
+                    errors,
+                });
+            }
+        }
+
+        return json.call(this, body);
+    };
+}
+
+// Middleware checking a request against a route's declaration.
+// openapi.js finds it among the route's handlers to document the route
+const validate = (spec) => {
+    const middleware = (req, res, next) => {
+        const errors = requestErrors(spec, req);
+
+        if (errors.length > 0) {
+            const [first] = errors;
+            res.status(400).json({
+                success: false,
+                error: `${first.field} ${first.message}`,
+                errors,
+            });
+            return;
+        }
+
+        if (checkResponses) {
+            watchResponse(spec, req, res);
+        }
+
+        next();
+    };
+
+    middleware.spec = spec;
+    return middleware;
+}
+
+// Schemas shared by several routes
+
+const playerId = {
+    type: 'string',
+    pattern: '^[A-Za-z0-9_-]{8,64}$',
+    'x-pattern': '8 to 64 letters, numbers, - or _',
+    description: 'The player\'s id, created and kept on their device',
+};
+
+const playerSecret = {
+    type: 'string',
+    pattern: '^[A-Za-z0-9_-]{32,128}$',
+    'x-pattern': '32 to 128 letters, numbers, - or _',
+    description: 'The player\'s secret, see players.js. It can be sent in the X-Player-Secret header instead',
+};
+
+const board = {
+    type: 'string',
+    description: 'One of the leaderboards listed at /leaderboards, the default board without one',
+};
+
+const period = {
+    type: 'string',
+    enum: ['daily', 'weekly', 'monthly', 'all'],
+    description: 'Time window of the scores (default all)',
+};
+
+// offset and limit query parameters of a paged list
+const page = (defaultLimit, maxLimit) => ({
+    offset: {
+        type: 'integer',
+        minimum: 0,
+        description: 'Number of entries to skip (default 0)',
+    },
+    limit: {
+        type: 'integer',
+        minimum: 0,
+        description: `Number of entries to return (default ${defaultLimit}, max ${maxLimit})`,
+    },
+});
+
+// A score on the leaderboard
+const record = {
+    type: 'object',
+    required: ['id', 'name', 'score', 'dateCreated'],
+    properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        score: { type: 'number' },
+        dateCreated: { type: 'integer', description: 'Time the score was saved, in seconds' },
+    },
+};
+
+// A record's rank and the records just above and below it
+const placement = {
+    type: 'object',
+    required: ['id', 'rank', 'total', 'record', 'above', 'below'],
+    properties: {
+        id: { type: 'string' },
+        rank: { type: 'integer' },
+        total: { type: 'integer' },
+        record,
+        above: { type: 'array', items: record },
+        below: { type: 'array', items: record },
+    },
+};
+
+// A successful response with these properties
+const success = (properties, required = Object.keys(properties)) => ({
+    type: 'object',
+    required: ['success', ...required],
+    properties: {
+        success: { type: 'boolean', enum: [true] },
+        ...properties,
+    },
+});
+
+// What every failed request sends
+const failure = {
+    type: 'object',
+    required: ['success', 'error'],
+    properties: {
+        success: { type: 'boolean', enum: [false] },
+        error: { type: 'string' },
+        errors: {
+            type: 'array',
+            description: 'Every invalid field, on 400 responses to invalid requests',
+            items: {
+                type: 'object',
+                properties: {
+                    in: { type: 'string', enum: ['path', 'query', 'body'] },
+                    field: { type: 'string' },
+                    message: { type: 'string' },
+                },
+            },
+        },
+    },
+};
+
+const schemas = {
+    playerId,
+    playerSecret,
+    board,
+    period,
+    page,
+    record,
+    placement,
+    success,
+    failure,
+};
+
+export {
+    validate,
+    validateValue,
+    schemas
+};
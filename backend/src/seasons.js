@@ -0,0 +1,325 @@
+import { getStore } from './storage';
+import { leaderboardIndex } from './leaderboardIndex';
+import { requireAdmin } from './auth';
+import { intParam } from './params';
+import { periodEnd } from './periods';
+import { log } from './logging';
+import { deleteReplay } from './replays';
+import { validate, schemas } from './schema';
+import {
+    boards,
+    isBoard,
+    collectionFor,
+    replayCollectionFor,
+    readSetting
+} from './boards';
+
+// Seasons turn the leaderboard into repeating competitions. Closing a
+// season archives the final standings of every board, then empties the
+// boards for the next season. The current season and the archives are kept
+// in the 'leaderboardSeasons' collection, archives under their number.
+//
+// Seasons close on a schedule when SEASON_LENGTH (or seasonLength in
+// leaderboard.json) is daily, weekly, or monthly, at the end of the UTC
+// calendar period. Admins can close a season any time at /admin/seasons/close.
+
+const seasonLengths = ['daily', 'weekly', 'monthly'];
+
+const configuredLength = String(readSetting('SEASON_LENGTH', 'seasonLength') || '').trim().toLowerCase();
+const seasonLength = seasonLengths.includes(configuredLength) ? configuredLength : null;
+
+// Number of top records archived from each board
+const archiveSize = parseInt(process.env.SEASON_ARCHIVE_SIZE, 10) || 100;
+
+// Number of winners listed for each board in /seasons
+const winnerCount = 3;
+
+// Largest page of seasons a client can ask for
+const maxLimit = 100;
+
+// Time between checks for the end of a season
+const checkInterval = 60 * 1000;
+
+const currentId = 'current';
+
+// When a season started on the given date ends, or null without a schedule
+const seasonEnd = dateStarted => seasonLength ?
+periodEnd(seasonLength, new Date(dateStarted * 1000)) :
+null;
+
+// Get the current season, starting the first one if there's none yet
+const currentSeason = async () => {
+    const database = getStore();
+    const season = await database.get('leaderboardSeasons', currentId);
+    if (season) { return season; }
+
+    const first = {
+        season: 1,
+        dateStarted: Math.round(Date.now() / 1000),
+    };
+    await database.set('leaderboardSeasons', currentId, first);
+    return first;
+}
+
+// Archive the current season's standings, empty the boards and start the
+// next season. Returns the archive
+const archiveSeason = async () => {
+    const database = getStore();
+    const season = await currentSeason();
+    const dateEnded = Math.round(Date.now() / 1000);
+
+    const standings = {};
+    for (const board of boards) {
+        const ranked = await leaderboardIndex(collectionFor(board)).rebuild();
+
+        standings[board] = {
+            total: ranked.length,
+            scores: ranked
+                .slice(0, archiveSize)
+                .map((record, i) => ({ rank: i + 1, ...record })),
+        };
+    }
+
+    const archive = {
+        season: season.season,
+        dateStarted: season.dateStarted,
+        dateEnded,
+        boards: standings,
+    };
+    await database.set('leaderboardSeasons', String(season.season), archive);
+
+    // Start the next season before emptying the boards, so scores
+    // saved from now on belong to it and are kept
+    await database.set('leaderboardSeasons', currentId, {
+        season: season.season + 1,
+        dateStarted: dateEnded,
+    });
+
+    for (const board of boards) {
+        const collection = collectionFor(board);
+        const records = (await database.getAll(collection))
+            .filter(r => (r.dateCreated || 0) < dateEnded);
+
+        for (const record of records) {
+            await database.delete(collection, record._id);
+            await deleteReplay(replayCollectionFor(board), record._id);
+        }
+
+        leaderboardIndex(collection).invalidate();
+    }
+
+    log({
+        type: 'season',
+        season: archive.season,
+        dateStarted: archive.dateStarted,
+        dateEnded,
+    });
+
+    return archive;
+}
+
+let closing = null;
+
+// Close the current season, calls during a close share it
+const closeSeason = () => {
+    if (!closing) {
+        closing = archiveSeason()
+            .then((archive) => {
+                closing = null;
+                return archive;
+            }, (err) => {
+                closing = null;
+                throw err;
+            });
+    }
+    return closing;
+}
+
+// Close seasons as they end, when seasons have a length. Only run
+// this on one server, or a season could be closed twice
+const scheduleSeasons = () => {
+    if (!seasonLength) { return; }
+
+    const check = () => currentSeason()
+        .then(season => Date.now() / 1000 >= seasonEnd(season.dateStarted) && closeSeason())
+        .catch(err => log({ type: 'error', message: 'season close failed', error: err.message }));
+
+    check();
+    const timer = setInterval(check, checkInterval);
+    if (timer.unref) { timer.unref(); }
+}
+
+// What /seasons shows of an archive
+const seasonSummary = ({ season, dateStarted, dateEnded, boards: standings }) => ({
+    season,
+    dateStarted,
+    dateEnded,
+    winners: Object.keys(standings).reduce((winners, board) => ({
+        ...winners,
+        [board]: standings[board].scores.slice(0, winnerCount),
+    }), {}),
+});
+
+// An archived record, with its final rank
+const rankedRecord = {
+    type: 'object',
+    properties: {
+        rank: { type: 'integer' },
+        ...schemas.record.properties,
+    },
+};
+
+const seasonDates = {
+    season: { type: 'integer' },
+    dateStarted: { type: 'integer' },
+    dateEnded: { type: 'integer' },
+};
+
+export default function (app) {
+    // List past seasons with the winners of each board, latest first
+    app.get('/seasons', validate({
+        summary: 'List past seasons',
+        query: schemas.page(20, maxLimit),
+        responses: {
+            200: schemas.success({
+                current: {
+                    type: 'object',
+                    properties: {
+                        season: { type: 'integer' },
+                        dateStarted: { type: 'integer' },
+                        dateEnds: {
+                            type: 'integer',
+                            nullable: true,
+                            description: 'null when seasons are only ended by hand',
+                        },
+                    },
+                },
+                offset: { type: 'integer' },
+                limit: { type: 'integer' },
+                total: { type: 'integer' },
+                seasons: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            ...seasonDates,
+                            winners: {
+                                type: 'object',
+                                description: 'The top scores of each board, by board',
+                                additionalProperties: { type: 'array', items: rankedRecord },
+                            },
+                        },
+                    },
+                },
+            }),
+        },
+    }), async (req, res) => {
+        const offset = intParam(req.query.offset, 0);
+        const limit = Math.min(intParam(req.query.limit, 20), maxLimit);
+
+        const season = await currentSeason();
+        const archives = (await getStore().getAll('leaderboardSeasons'))
+            .filter(s => s._id !== currentId)
+            .sort((a, b) => b.season - a.season);
+
+        res.status(200).json({
+            success: true,
+            current: {
+                season: season.season,
+                dateStarted: season.dateStarted,
+                dateEnds: seasonEnd(season.dateStarted),
+            },
+            offset,
+            limit,
+            total: archives.length,
+            seasons: archives
+                .slice(offset, offset + limit)
+                .map(seasonSummary),
+        });
+    });
+
+    // Get the final standings of a past season
+    app.get('/seasons/:season', validate({
+        summary: 'Get the final standings of a past season',
+        params: { season: { type: 'integer', minimum: 1 } },
+        query: {
+            board: { ...schemas.board, description: 'Only return this board\'s standings' },
+        },
+        responses: {
+            200: schemas.success({
+                ...seasonDates,
+                boards: {
+                    type: 'object',
+                    description: 'The standings of each board, by board',
+                    additionalProperties: {
+                        type: 'object',
+                        properties: {
+                            total: { type: 'integer' },
+                            scores: { type: 'array', items: rankedRecord },
+                        },
+                    },
+                },
+            }),
+            404: 'Season not found, or unknown leaderboard',
+        },
+    }), async (req, res) => {
+        const number = intParam(req.params.season, 0);
+        const archive = number > 0 ?
+        await getStore().get('leaderboardSeasons', String(number)) :
+        null;
+
+        if (!archive) {
+            res.status(404).json({
+                success: false,
+                error: 'Season not found',
+            });
+            return;
+        }
+
+        const board = req.query.board;
+        if (board && !isBoard(board)) {
+            res.status(404).json({
+                success: false,
+                error: `Unknown leaderboard '${board}'`,
+            });
+            return;
+        }
+
+        res.status(200).json({
+            success: true,
+            season: archive.season,
+            dateStarted: archive.dateStarted,
+            dateEnded: archive.dateEnded,
+            boards: board ?
+            { [board]: archive.boards[board] || { total: 0, scores: [] } } :
+            archive.boards,
+        });
+    });
+
+    // Close the current season now
+    app.post('/admin/seasons/close', requireAdmin, validate({
+        summary: 'End the current season now',
+        security: 'admin',
+        responses: {
+            200: schemas.success({
+                ...seasonDates,
+                next: { type: 'integer', description: 'Number of the season that started' },
+            }),
+        },
+    }), async (req, res) => {
+        const archive = await closeSeason();
+
+        res.status(200).json({
+            success: true,
+            season: archive.season,
+            dateStarted: archive.dateStarted,
+            dateEnded: archive.dateEnded,
+            next: archive.season + 1,
+        });
+    });
+}
+
+export {
+    closeSeason,
+    scheduleSeasons
+};
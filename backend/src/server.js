@@ -5,22 +5,61 @@ import bodyParser from 'body-parser';
 import cors from 'cors';
 
 // Import any routes we're going to be using
+import health from './health';
 import leaderboard from './leaderboard';
+import admin, { importParsers } from './admin';
+import analytics from './analytics';
+import privacy, { canStorePrivateData, schedulePurge } from './privacy';
+import saves, { saveParsers } from './saves';
+import replays, { replayParsers } from './replays';
+import seasons, { scheduleSeasons } from './seasons';
+import groups from './groups';
+import players from './players';
+import openapi, { documentRoutes } from './openapi';
+import { leaderboardIndex } from './leaderboardIndex';
+import { boards, collectionFor } from './boards';
+import { requestLogger } from './logging';
+import { handleAsyncErrors, notFound, errorHandler } from './errors';
 
 // Create server
 const app = express();
 
+// Send errors from async routes to the error handler below
+handleAsyncErrors(app);
+
+// Collect the schemas routes declare, for /openapi.json
+documentRoutes(app);
+
+// Behind a proxy, trust it so req.ip is the client's address. Rate limits
+// key on req.ip, and a client can send X-Forwarded-For itself, so proxies
+// are only trusted when TRUST_PROXY_HOPS says how many there are.
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS, 10) || false);
+
+// Log every request
+app.use(requestLogger);
+
 // Specifically enable CORS for pre-flight options requests
 app.options('*', cors())
 
+// Imports take large bodies, so they get their own parsers,
+// which only run for admins
+app.use('/admin/leaderboard/import', importParsers);
+
+// Cloud saves and scores saved with replays can be larger than other requests too
+app.use('/saves', saveParsers);
+app.use(['/leaderboard/save', '/leaderboard/:board/save'], replayParsers);
+
 // Enable body parsers for reading POST data. We set up this app to 
 // accept JSON bodies and x-www-form-urlencoded bodies. If you wanted to
 // process other request tpes, like form-data or graphql, you would need
 // to include the appropriate parser middlewares here.
-app.use(bodyParser.json());
+app.use(bodyParser.json({
+  limit: '10kb',
+}));
 app.use(bodyParser.urlencoded({
-  limit: '2mb',
+  limit: '10kb',
   extended: true,
+  parameterLimit: 50,
 }));
 
 // CORS allows these API routes to be requested directly by browsers
@@ -35,7 +74,21 @@ app.use((req, res, next) => {
 });
 
 // Enable routes we want to use
+health(app);
 leaderboard(app);
+admin(app);
+replays(app);
+analytics(app);
+privacy(app);
+saves(app);
+seasons(app);
+groups(app);
+players(app);
+openapi(app);
+
+// Answer unknown routes and errors with JSON
+app.use(notFound);
+app.use(errorHandler);
 
 // Start server
 app.listen(process.env.PORT || 3333, null, async err => {
@@ -43,4 +96,21 @@ app.listen(process.env.PORT || 3333, null, async err => {
         console.error(err.message);
     }
     console.log('[koji] backend started');
+
+    if (!canStorePrivateData()) {
+        console.warn('[privacy] PRIVATE_DATA_KEY is not set, private attributes will not be stored');
+    }
+
+    // Remove private data past its retention period
+    schedulePurge();
+
+    // Close seasons as they end
+    scheduleSeasons();
+
+    // Warm the leaderboard indexes so the first reads are fast
+    boards.forEach(board => {
+        leaderboardIndex(collectionFor(board))
+            .rebuild()
+            .catch(err => console.error(`[leaderboard] could not build index for ${board}: ${err.message}`));
+    });
 });
@@ -0,0 +1,89 @@
+import crypto from 'crypto';
+import uuid from 'uuid';
+
+// Score sessions are signed tokens handed out when a run starts. The token
+// carries the session id and start time, so the server can check how long
+// a run lasted without storing anything until the score is saved.
+
+// If no secret is configured, fall back to a per-process secret. Tokens
+// issued before a restart will then be rejected, which is the safe failure.
+const secret = process.env.SCORE_SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+// How long a session can stay open before its score is rejected (seconds)
+const sessionTTL = parseInt(process.env.SCORE_SESSION_TTL, 10) || 60 * 60;
+
+// The highest score a player could plausibly earn per second of play
+const maxScorePerSecond = parseFloat(process.env.SCORE_MAX_PER_SECOND) || 100;
+
+// base64url helpers, Buffer has no 'base64url' encoding on older nodes
+const encode = value => Buffer.from(value)
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+const decode = value => Buffer.from(
+    value.replace(/-/g, '+').replace(/_/g, '/'),
+    'base64'
+).toString('utf8');
+
+const sign = payload => crypto
+    .createHmac('sha256', secret)
+    .update(payload)
+    .digest('hex');
+
+// create a new session and its signed token
+const issueSession = () => {
+    const session = {
+        id: uuid.v4(),
+        started: Date.now(),
+    };
+
+    const payload = encode(JSON.stringify(session));
+
+    return {
+        ...session,
+        token: `${payload}.${sign(payload)}`,
+        expires: session.started + sessionTTL * 1000,
+    };
+}
+
+// read a token back into a session, returns null if the
+// token is malformed or the signature doesn't match
+const readSession = (token) => {
+    if (typeof token !== 'string') { return null; }
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) { return null; }
+
+    const expected = Buffer.from(sign(payload));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return null;
+    }
+
+    try {
+        const session = JSON.parse(decode(payload));
+        return session && session.id && session.started ? session : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// check a session is still open at time now
+const isExpired = (session, now = Date.now()) => {
+    return now - session.started > sessionTTL * 1000;
+}
+
+// check a score could have been earned in the time the session was open
+const isPlausibleScore = (session, score, now = Date.now()) => {
+    const seconds = Math.max(0, now - session.started) / 1000;
+    return score >= 0 && score <= Math.ceil(seconds * maxScorePerSecond);
+}
+
+export {
+    issueSession,
+    readSession,
+    isExpired,
+    isPlausibleScore
+};
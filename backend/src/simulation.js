@@ -0,0 +1,94 @@
+// Headless playback of run replays, used to check the score a player
+// saved. A replay holds the run's random seed, the length of the game's
+// update step, the screen and player it started with, each update's
+// movement input, and the points scored and the update they were scored
+// in, see frontend/game/helpers/replay.js.
+//
+// Playback moves the player like update() in frontend/game/scenes/playScene.js
+// and move() in frontend/game/objects/sprite.js, and adds up the points
+// scored in the updates it plays. Points recorded after the run's last
+// update don't count, so they show up as a score that doesn't match.
+
+// Milliseconds each update moves the game forward,
+// the same as frame.step in frontend/game/main.js
+const updateStep = 1000 / 60;
+
+const bounded = (n, min, max) => Math.min(Math.max(n, min), max);
+
+// Move the player like Sprite.move, without a target
+const move = (player, bounds, dx, dy, m) => {
+    const x = dx === 0 ? player.x : player.x + (dx * player.speed * m);
+    const y = dy === 0 ? player.y : player.y + (dy * player.speed * m);
+
+    player.x = bounded(x, bounds.left, bounds.right - player.width);
+    player.y = bounded(y, bounds.top, bounds.bottom - player.height);
+}
+
+// Read a frame as { rate, dx, dy, count }. Version 1 replays were
+// recorded before the game had a fixed update step, their frames are
+// [rate, dx, dy, count] with each frame's length. Since version 2 frames
+// are [dx, dy, count] and every update is one step long
+const readFrame = (replay, frame) => {
+    if (replay.version === 1) {
+        const [rate, dx, dy, count = 1] = frame;
+        return { rate, dx, dy, count };
+    }
+
+    const [dx, dy, count = 1] = frame;
+    return { rate: replay.step, dx, dy, count };
+}
+
+// Play a replay back, returns the score it earns, where the player
+// ended up, the number of updates, and the run's length in milliseconds
+const simulate = (replay) => {
+    const { screen } = replay;
+    const bounds = { top: 0, left: 0, right: screen.width, bottom: screen.height };
+
+    const game = {
+        player: { ...replay.player },
+        score: 0,
+        frame: 0,
+        duration: 0,
+    };
+
+    // [update, points], in the order they were scored
+    const scores = replay.scores || [];
+    let scored = 0;
+
+    // add the points scored before the game's current update
+    const score = () => {
+        while (scored < scores.length && scores[scored][0] <= game.frame) {
+            game.score += scores[scored][1];
+            scored += 1;
+        }
+    }
+
+    score();
+
+    replay.frames.forEach((frame) => {
+        const { rate, dx, dy, count } = readFrame(replay, frame);
+
+        for (let i = 0; i < count; i += 1) {
+            const scale = screen.scale * rate * 0.01;
+
+            move(game.player, bounds, dx, dy, scale);
+
+            game.frame += 1;
+            game.duration += rate;
+
+            score();
+        }
+    });
+
+    return {
+        score: game.score,
+        player: { x: game.player.x, y: game.player.y },
+        frames: game.frame,
+        duration: game.duration,
+    };
+}
+
+export {
+    updateStep,
+    simulate
+};
@@ -0,0 +1,49 @@
+import * as fs from 'fs';
+import * as path from 'path';
+
+import MemoryStore from './memoryStore';
+
+// Keeps every collection in memory and writes them all to a single
+// JSON file after each change, so data survives restarts without
+// needing a hosted database.
+class FileStore extends MemoryStore {
+    constructor(file) {
+        super(FileStore.read(file));
+        this.name = 'file';
+        this.file = file;
+
+        // writes are queued so they never overlap
+        this.writing = Promise.resolve();
+    }
+
+    static read(file) {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.error(`[storage] could not read ${file}: ${err.message}`);
+            }
+            return {};
+        }
+    }
+
+    persist() {
+        const contents = JSON.stringify(this.data);
+
+        this.writing = this.writing.then(() => new Promise((resolve, reject) => {
+            // write to a temporary file first so a crash
+            // can't leave a half written store behind
+            const tmp = `${this.file}.tmp`;
+            fs.mkdir(path.dirname(this.file), { recursive: true }, () => {
+                fs.writeFile(tmp, contents, (err) => {
+                    if (err) { return reject(err); }
+                    fs.rename(tmp, this.file, err => err ? reject(err) : resolve());
+                });
+            });
+        }));
+
+        return this.writing;
+    }
+}
+
+export default FileStore;
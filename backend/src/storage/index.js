@@ -0,0 +1,47 @@
+import KojiStore from './kojiStore';
+import FileStore from './fileStore';
+import MemoryStore from './memoryStore';
+
+// Storage backends. Every store has the same async methods:
+//   get(collection, id): one record, or null
+//   getAll(collection): every record in the collection, each with an _id
+//   set(collection, id, value): create or replace a record
+//   insert(collection, id, value): create a record only if the id is
+//     free, resolves false when it's taken
+//   update(collection, id, value): merge values into a record
+//   delete(collection, id): remove a record
+//
+// Choose one with the LEADERBOARD_STORAGE environment variable:
+//   koji (default): the hosted Koji database
+//   file: a JSON file at LEADERBOARD_STORAGE_FILE (default .data/store.json)
+//   memory: in memory only, lost on restart
+const stores = {
+    koji: () => new KojiStore(),
+    file: () => new FileStore(process.env.LEADERBOARD_STORAGE_FILE || '.data/store.json'),
+    memory: () => new MemoryStore(),
+};
+
+let store;
+
+// name of the configured storage backend
+const storageType = () => process.env.LEADERBOARD_STORAGE || 'koji';
+
+// get the shared store, creating it on first use
+const getStore = () => {
+    if (!store) {
+        const type = storageType();
+        if (!stores[type]) {
+            throw new Error(`Unknown LEADERBOARD_STORAGE '${type}', use one of ${Object.keys(stores).join(', ')}`);
+        }
+        store = stores[type]();
+    }
+    return store;
+}
+
+export {
+    getStore,
+    storageType,
+    KojiStore,
+    FileStore,
+    MemoryStore
+};
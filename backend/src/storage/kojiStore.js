@@ -0,0 +1,68 @@
+import Database from '@withkoji/database';
+
+// Stores collections in the hosted Koji database
+class KojiStore {
+    constructor() {
+        this.name = 'koji';
+
+        // inserts in progress, by collection and id
+        this.inserts = new Map();
+    }
+
+    get database() {
+        return new Database();
+    }
+
+    // get one record by id, or null when it doesn't exist
+    async get(collection, id) {
+        const record = await this.database.get(collection, id);
+        return record && Object.keys(record).length > 0 ? record : null;
+    }
+
+    // get every record in a collection
+    async getAll(collection) {
+        const records = await this.database.get(collection);
+        return records || [];
+    }
+
+    // create or replace a record
+    async set(collection, id, value) {
+        return this.database.set(collection, id, value);
+    }
+
+    // create a record only if there's none with this id, resolves false
+    // when the id is taken. The hosted database has no conditional write,
+    // so inserts of the same id are run one after another in this process
+    // and each checks for the record before writing it
+    async insert(collection, id, value) {
+        const key = `${collection}/${id}`;
+        const previous = this.inserts.get(key) || Promise.resolve();
+
+        const inserted = previous.then(async () => {
+            if (await this.get(collection, id)) { return false; }
+
+            await this.set(collection, id, value);
+            return true;
+        });
+
+        // the next insert waits for this one, even if it fails
+        const done = inserted.catch(() => false);
+        this.inserts.set(key, done);
+        done.then(() => {
+            if (this.inserts.get(key) === done) { this.inserts.delete(key); }
+        });
+
+        return inserted;
+    }
+
+    // merge values into an existing record
+    async update(collection, id, value) {
+        return this.database.update(collection, id, value);
+    }
+
+    async delete(collection, id) {
+        return this.database.delete(collection, id);
+    }
+}
+
+export default KojiStore;
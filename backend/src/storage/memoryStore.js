@@ -0,0 +1,72 @@
+// Keeps every collection in memory. Nothing survives a restart, which makes
+// this store handy for local development and tests.
+//
+// Collections are objects without a prototype, so ids like '__proto__'
+// are stored like any other id.
+class MemoryStore {
+    constructor(data = {}) {
+        this.name = 'memory';
+        this.data = Object.create(null);
+
+        Object.keys(data).forEach((name) => {
+            this.data[name] = Object.assign(Object.create(null), data[name]);
+        });
+    }
+
+    collection(name) {
+        if (!this.data[name]) { this.data[name] = Object.create(null); }
+        return this.data[name];
+    }
+
+    // get one record by id, or null when it doesn't exist
+    async get(collection, id) {
+        const record = this.collection(collection)[id];
+        return record ? { ...record, _id: id } : null;
+    }
+
+    // get every record in a collection
+    async getAll(collection) {
+        const records = this.collection(collection);
+        return Object.keys(records)
+            .map(id => ({ ...records[id], _id: id }));
+    }
+
+    // create or replace a record
+    async set(collection, id, value) {
+        this.collection(collection)[id] = { ...value };
+        await this.persist();
+        return true;
+    }
+
+    // create a record only if there's none with this id, resolves false
+    // when the id is taken. Nothing runs between the check and the write,
+    // so two inserts of the same id can't both succeed
+    async insert(collection, id, value) {
+        const records = this.collection(collection);
+        if (records[id]) { return false; }
+
+        records[id] = { ...value };
+        await this.persist();
+        return true;
+    }
+
+    // merge values into an existing record
+    async update(collection, id, value) {
+        const records = this.collection(collection);
+        records[id] = { ...records[id], ...value };
+        await this.persist();
+        return true;
+    }
+
+    async delete(collection, id) {
+        delete this.collection(collection)[id];
+        await this.persist();
+        return true;
+    }
+
+    // stores that write somewhere override this
+    async persist() {
+    }
+}
+
+export default MemoryStore;
@@ -0,0 +1,35 @@
+import Koji from 'koji-tools';
+
+// Leaderboards declared in .koji/customization/leaderboard.json as a
+// comma separated list. They're read with the same rules as the backend,
+// see backend/src/boards.js: names are lowercase letters, numbers and
+// dashes, some names are taken by other routes, and the main board,
+// which holds scores saved before there were boards, is always the default.
+// The backend's own list can differ, like when LEADERBOARD_BOARDS is set,
+// so the leaderboard shows the boards from loadBoards() once they load.
+
+const mainBoard = 'main';
+
+// board names that would clash with other leaderboard routes
+const reservedBoards = ['save', 'session', 'rank', 'stream'];
+
+const parseBoards = list => String(list || '')
+	.split(',')
+	.map(board => board.trim().toLowerCase())
+	.filter(board => /^[a-z0-9-]+$/.test(board))
+	.filter(board => !reservedBoards.includes(board));
+
+const boards = [mainBoard, ...parseBoards((Koji.config.leaderboard || {}).boards).filter(board => board !== mainBoard)];
+
+const defaultBoard = mainBoard;
+
+// get the boards the backend has, or the configured ones if it can't say
+const loadBoards = () => fetch(`${Koji.config.serviceMap.backend}/leaderboards`)
+	.then(response => response.json())
+	.then(result => (result.success && Array.isArray(result.boards) && result.boards.length > 0 ? result.boards : boards))
+	.catch(() => boards);
+
+// name to show for a board
+const boardName = board => board.charAt(0).toUpperCase() + board.slice(1);
+
+export { boards, defaultBoard, boardName, loadBoards };
@@ -2,16 +2,29 @@ import { h, Component } from 'preact';
 import GameContainer from './GameContainer';
 import Leaderboard from './Leaderboard';
 import SetScore from './SetScore';
+import { defaultBoard } from '../boards';
+import { joinGroupFromUrl } from '../groups';
 
 export default class App extends Component {
 	state = {
 		score: 0,
+		sessionToken: null,
+		replay: null,
+		board: defaultBoard,
+		placement: null,
+		groupError: null,
 		view: 'game',
 	};
 
 	componentDidMount() {
 		window.setAppView = view => { this.setState({ view }); }
-		window.setScore = score => { this.setState({ score }); }
+		window.setScore = (score, sessionToken, board, replay) => { this.setState({ score, sessionToken, board: board || defaultBoard, replay: replay || null, placement: null }); }
+		window.setPlacement = placement => { this.setState({ placement }); }
+
+		// join a friends group shared with ?group=CODE,
+		// the leaderboard shows why if it can't be joined
+		joinGroupFromUrl()
+			.catch(err => this.setState({ groupError: `Couldn't join the group: ${err.message}` }));
 	}
 
 	render() {
@@ -25,14 +38,14 @@ export default class App extends Component {
 		if (this.state.view === 'setScore') {
 			return (
 				<div>
-					<SetScore score={this.state.score} />
+					<SetScore score={this.state.score} sessionToken={this.state.sessionToken} replay={this.state.replay} board={this.state.board} />
 				</div>
 			)
 		}
 		if (this.state.view === 'leaderboard') {
 			return (
 				<div>
-					<Leaderboard />
+					<Leaderboard placement={this.state.placement} board={this.state.board} groupError={this.state.groupError} />
 				</div>
 			)
 		}
@@ -1,12 +1,57 @@
 
 import { h, Component } from 'preact';
+import PropTypes from 'prop-types';
 import Koji from 'koji-tools';
+import { boards, defaultBoard, boardName, loadBoards } from '../boards';
+import { getGroupCode, createGroup, groupUrl } from '../groups';
+import { createRecoveryCode } from '../player';
+
+// time windows offered by the backend
+const periods = [
+  { key: 'daily', name: 'Today' },
+  { key: 'weekly', name: 'This Week' },
+  { key: 'monthly', name: 'This Month' },
+  { key: 'all', name: 'All Time' },
+];
+
+// everyone's scores, or only the scores of the player's friends group
+const scopes = [
+  { key: false, name: 'Everyone' },
+  { key: true, name: 'Friends' },
+];
+
+const pageSize = 100;
+
+// how often to reload scores when live updates aren't available
+const pollInterval = 15 * 1000;
+
+// how long new scores stay highlighted
+const newScoreDuration = 3 * 1000;
 
 class Leaderboard extends Component {
+  static propTypes = {
+    placement: PropTypes.object,
+    board: PropTypes.string,
+    groupError: PropTypes.string,
+  };
+
   state = {
     scores: [],
+    boards,
+    board: this.props.board || defaultBoard,
+    period: 'all',
+    friends: false,
+    group: getGroupCode(),
+    creatingGroup: false,
+    groupError: this.props.groupError || null,
+    recoveryCode: null,
+    creatingRecoveryCode: false,
+    offset: 0,
+    total: 0,
+    newIds: [],
     dataIsLoaded: false,
     error: false,
+    loadError: null,
   };
 
   style = {
@@ -21,17 +66,251 @@ class Leaderboard extends Component {
   }
 
   componentDidMount() {
-    fetch(`${Koji.config.serviceMap.backend}/leaderboard`)
+    this.fetchScores({ offset: 0 });
+    this.subscribe(this.state.board);
+
+    // only show tabs for the boards the backend has
+    loadBoards().then(list => this.setState({ boards: list }));
+  }
+
+  componentWillUnmount() {
+    this.unsubscribe();
+  }
+
+  // load a page of scores, changing any of the current
+  // board, period, offset, or whether to show friends only.
+  // quiet reloads keep showing the current scores while loading
+  fetchScores(changes, quiet) {
+    const { board, period, offset, friends, group } = { ...this.state, ...changes };
+
+    if (board !== this.state.board) {
+      this.subscribe(board);
+    }
+
+    // without a group there are no friends to show yet
+    if (friends && !group) {
+      this.setState({ board, period, offset, friends, group, scores: [], total: 0, dataIsLoaded: true });
+      return;
+    }
+
+    this.setState({ board, period, offset, friends, group, dataIsLoaded: quiet ? this.state.dataIsLoaded : false });
+
+    const path = friends ? `/groups/${group}/leaderboard/${board}` : `/leaderboard/${board}`;
+
+    // requests are numbered, so when tabs change quickly a slow
+    // response to an older request can't replace the newer view
+    this.latestRequest = (this.latestRequest || 0) + 1;
+    const request = this.latestRequest;
+
+    fetch(`${Koji.config.serviceMap.backend}${path}?period=${period}&offset=${offset}&limit=${pageSize}`)
       .then((response) => response.json())
-      .then(({ scores }) => {
-        this.setState({ dataIsLoaded: true, scores });
+      .then((result) => {
+        if (request !== this.latestRequest) { return; }
+
+        // keep showing the last scores when the request is refused,
+        // like an unknown board or group, or too many requests
+        if (!result.success) {
+          this.setState({ dataIsLoaded: true, loadError: quiet ? this.state.loadError : result.error });
+          return;
+        }
+
+        this.setState({ dataIsLoaded: true, scores: result.scores, total: result.total, loadError: null });
       })
       .catch(err => {
+        if (request !== this.latestRequest) { return; }
+
         console.log('Fetch Error: ', err);
-        this.setState({ error: true });
+        if (!quiet) {
+          this.setState({ error: true });
+        }
       });
   }
 
+  // listen for new top scores on a board,
+  // falling back to polling without a stream
+  subscribe(board) {
+    this.unsubscribe();
+
+    if (!window.EventSource) {
+      this.startPolling();
+      return;
+    }
+
+    this.stream = new EventSource(`${Koji.config.serviceMap.backend}/leaderboard/${board}/stream`);
+    this.stream.addEventListener('score', ({ data }) => this.handleNewScore(JSON.parse(data)));
+    this.stream.onerror = () => {
+      // the browser reconnects on its own unless the stream was refused
+      if (this.stream && this.stream.readyState === EventSource.CLOSED) {
+        this.stream = null;
+        this.startPolling();
+      }
+    };
+  }
+
+  unsubscribe() {
+    if (this.stream) {
+      this.stream.close();
+      this.stream = null;
+    }
+    clearInterval(this.poll);
+  }
+
+  startPolling() {
+    clearInterval(this.poll);
+    this.poll = setInterval(() => this.fetchScores({}, true), pollInterval);
+  }
+
+  // highlight a new score and reload the current page
+  handleNewScore({ id }) {
+    this.setState({ newIds: [...this.state.newIds, id] });
+    this.fetchScores({}, true);
+
+    setTimeout(() => {
+      this.setState({ newIds: this.state.newIds.filter(newId => newId !== id) });
+    }, newScoreDuration);
+  }
+
+  // start a friends group and show its leaderboard
+  handleCreateGroup() {
+    this.setState({ creatingGroup: true, groupError: null });
+
+    createGroup()
+      .then(({ code }) => {
+        this.setState({ creatingGroup: false });
+        this.fetchScores({ friends: true, group: code, offset: 0 });
+      })
+      .catch(err => {
+        this.setState({ creatingGroup: false, groupError: `Couldn't create a group: ${err.message}` });
+      });
+  }
+
+  // get a code that keeps the player's name on another device
+  handleCreateRecoveryCode() {
+    this.setState({ creatingRecoveryCode: true });
+
+    createRecoveryCode()
+      .then((recoveryCode) => {
+        this.setState({ recoveryCode, creatingRecoveryCode: false });
+      })
+      .catch(err => {
+        console.log(err);
+        this.setState({ creatingRecoveryCode: false });
+      });
+  }
+
+  // the player's recovery code, or a button to get one
+  renderRecoveryCode() {
+    if (this.state.recoveryCode) {
+      return (
+        <div className={'leaderboard-placement-note'}>
+          {`Your recovery code is ${this.state.recoveryCode}, enter it to use your name on another device`}
+        </div>
+      );
+    }
+
+    return (
+      <div
+        className={'leaderboard-page-button'}
+        onClick={() => !this.state.creatingRecoveryCode && this.handleCreateRecoveryCode()}
+      >
+        {this.state.creatingRecoveryCode ? 'Creating...' : 'Get a recovery code'}
+      </div>
+    );
+  }
+
+  // the player's friends group, with the link to share
+  // or a button to start one
+  renderGroup() {
+    if (!this.state.friends) { return null; }
+
+    const error = this.state.groupError && (
+      <div className={'leaderboard-group-note error'}>
+        {this.state.groupError}
+      </div>
+    );
+
+    if (!this.state.group) {
+      return (
+        <div className={'leaderboard-group'}>
+          {error}
+          <div className={'leaderboard-group-note'}>
+            {'Start a group and share its link to compete with your friends'}
+          </div>
+          <div
+            className={'leaderboard-page-button'}
+            onClick={() => !this.state.creatingGroup && this.handleCreateGroup()}
+          >
+            {this.state.creatingGroup ? 'Creating...' : 'Create a group'}
+          </div>
+        </div>
+      );
+    }
+
+    return (
+      <div className={'leaderboard-group'}>
+        {error}
+        <div className={'leaderboard-group-note'}>
+          {`Group code ${this.state.group}, share this link with your friends:`}
+        </div>
+        <input
+          className={'leaderboard-group-link'}
+          readOnly
+          value={groupUrl(this.state.group)}
+          onFocus={e => e.target.select()}
+        />
+      </div>
+    );
+  }
+
+  // the player's rank after saving a score
+  // with the entries just above and below them
+  renderPlacement() {
+    const { placement } = this.props;
+    if (!placement || !placement.rank || placement.board !== this.state.board || this.state.friends) { return null; }
+
+    const rows = [...placement.above, placement.record, ...placement.below];
+    const firstRank = placement.rank - placement.above.length;
+
+    return (
+      <div className={'leaderboard-placement'}>
+        <div className={'leaderboard-placement-title'}>
+          {`You placed ${placement.rank} of ${placement.total}`}
+        </div>
+        {
+          placement.personalBest === false && (
+            <div className={'leaderboard-placement-note'}>
+              {'Your best score still stands'}
+            </div>
+          )
+        }
+        {
+          placement.personalBest === true && (
+            <div className={'leaderboard-placement-note'}>
+              {'New personal best!'}
+            </div>
+          )
+        }
+        {
+          rows.map((score, index) => (
+            <div
+              className={score.id === placement.id ? 'score-row player' : 'score-row'}
+              key={score.id}
+              style={this.style.row}
+            >
+              <div className={'name'}>
+                {`${firstRank + index}. ${score.name}`}
+              </div>
+              <div className={'score'}>
+                {score.score}
+              </div>
+            </div>
+          ))
+        }
+        {this.renderRecoveryCode()}
+      </div>
+    );
+  }
+
   render() {
     if (this.state.error) {
       return (
@@ -72,16 +351,68 @@ class Leaderboard extends Component {
               Close
             </div>
           </div>
+          {this.renderPlacement()}
+          {
+            this.state.boards.length > 1 && (
+              <div className={'leaderboard-tabs'}>
+                {
+                  this.state.boards.map(board => (
+                    <div
+                      className={board === this.state.board ? 'leaderboard-tab active' : 'leaderboard-tab'}
+                      key={board}
+                      onClick={() => this.fetchScores({ board, offset: 0 })}
+                    >
+                      {boardName(board)}
+                    </div>
+                  ))
+                }
+              </div>
+            )
+          }
+          <div className={'leaderboard-tabs'}>
+            {
+              scopes.map(({ key, name }) => (
+                <div
+                  className={key === this.state.friends ? 'leaderboard-tab active' : 'leaderboard-tab'}
+                  key={name}
+                  onClick={() => this.fetchScores({ friends: key, offset: 0 })}
+                >
+                  {name}
+                </div>
+              ))
+            }
+          </div>
+          {this.renderGroup()}
+          <div className={'leaderboard-tabs'}>
+            {
+              periods.map(({ key, name }) => (
+                <div
+                  className={key === this.state.period ? 'leaderboard-tab active' : 'leaderboard-tab'}
+                  key={key}
+                  onClick={() => this.fetchScores({ period: key, offset: 0 })}
+                >
+                  {name}
+                </div>
+              ))
+            }
+          </div>
+          {
+            this.state.loadError && (
+              <div className={'leaderboard-error'}>
+                {this.state.loadError}
+              </div>
+            )
+          }
           <div className={'leaderboard-contents'}>
             {
               this.state.scores.map((score, index) => (
                 <div
-                  className={'score-row'}
-                  key={index}
+                  className={this.state.newIds.includes(score.id) ? 'score-row new' : 'score-row'}
+                  key={score.id || index}
                   style={this.style.row}
                 >
                   <div className={'name'}>
-                    {`${index + 1}. ${score.name}`}
+                    {`${this.state.offset + index + 1}. ${score.name}`}
                   </div>
                   <div className={'score'}>
                     {score.score}
@@ -90,6 +421,28 @@ class Leaderboard extends Component {
               ))
             }
           </div>
+          <div className={'leaderboard-pages'}>
+            {
+              this.state.offset > 0 && (
+                <div
+                  className={'leaderboard-page-button'}
+                  onClick={() => this.fetchScores({ offset: Math.max(0, this.state.offset - pageSize) })}
+                >
+                  Previous
+                </div>
+              )
+            }
+            {
+              this.state.offset + pageSize < this.state.total && (
+                <div
+                  className={'leaderboard-page-button next'}
+                  onClick={() => this.fetchScores({ offset: this.state.offset + pageSize })}
+                >
+                  Next
+                </div>
+              )
+            }
+          </div>
         </div>
       </div>
     );
@@ -2,16 +2,23 @@
 import { h, Component } from 'preact';
 import PropTypes from 'prop-types';
 import Koji from 'koji-tools';
+import { getPlayerId, getPlayerSecret, recoverPlayer } from '../player';
 
 class SetScore extends Component {
 	static propTypes = {
 		score: PropTypes.number,
+		sessionToken: PropTypes.string,
+		replay: PropTypes.object,
+		board: PropTypes.string,
 	};
 
 	state = {
 		// email: '',
 		name: '',
 		isSubmitting: false,
+		error: null,
+		nameReserved: false,
+		recoveryCode: '',
 	};
 
 	style = {
@@ -50,17 +57,22 @@ class SetScore extends Component {
 		e.preventDefault();
 
 		if (this.state.name != '') {
-			this.setState({ isSubmitting: true });
+			this.setState({ isSubmitting: true, error: null });
 
 			const body = {
 				name: this.state.name,
 				score: this.props.score,
+				sessionToken: this.props.sessionToken,
+				playerId: getPlayerId(),
+				playerSecret: getPlayerSecret(),
+				// inputs of the run, so the backend can play it back
+				replay: this.props.replay || undefined,
 				// privateAttributes: {
 				//    email: this.state.email,
 				// },
 			};
 
-			fetch(`${Koji.config.serviceMap.backend}/leaderboard/save`, {
+			fetch(`${Koji.config.serviceMap.backend}/leaderboard/${this.props.board}/save`, {
 				method: 'post',
 				headers: {
 					'Content-Type': 'application/json',
@@ -70,16 +82,39 @@ class SetScore extends Component {
 				.then((response) => response.json())
 				.then((jsonResponse) => {
 					// console.log(jsonResponse);
-
+					if (!jsonResponse.success) {
+						// someone else holds this name, unless the player
+						// can recover it with their recovery code
+						this.setState({ nameReserved: jsonResponse.error === 'name is reserved by another player' });
+						throw new Error(jsonResponse.error);
+					}
+
+					// show the player where they landed
+					window.setPlacement(jsonResponse);
 					window.setAppView('leaderboard');
 				})
 				.catch(err => {
 					console.log(err);
+					this.setState({ isSubmitting: false, error: err.message });
 				});
 
 		}
 	}
 
+	// take back a reserved name with its recovery code
+	handleRecover = (e) => {
+		e.preventDefault();
+
+		recoverPlayer(this.state.recoveryCode.trim())
+			.then((name) => {
+				this.setState({ name: name || this.state.name, error: null, nameReserved: false, recoveryCode: '' });
+			})
+			.catch(err => {
+				console.log(err);
+				this.setState({ error: err.message });
+			});
+	}
+
 	render() {
 		return (
 			<div style={this.style.container}>
@@ -112,6 +147,7 @@ class SetScore extends Component {
 									this.setState({ name: event.target.value });
 								}}
 								type={'text'}
+								maxLength={32}
 								value={this.state.name}
 								style={this.style.input}
 								ref={(input) => { this.nameInput = input; }}
@@ -131,6 +167,39 @@ class SetScore extends Component {
 						</div>
 						*/}
 
+						{
+							this.state.error && (
+								<div className={'error'}>
+									{this.state.error}
+								</div>
+							)
+						}
+
+						{
+							this.state.nameReserved && (
+								<div className={'input-wrapper'}>
+									<label className={'label'} style={this.style.label}>
+										Is this your name? Enter your recovery code
+									</label>
+									<input
+										onChange={(event) => {
+											this.setState({ recoveryCode: event.target.value });
+										}}
+										type={'text'}
+										value={this.state.recoveryCode}
+										style={this.style.input}
+									/>
+									<button
+										onClick={this.handleRecover}
+										type={'button'}
+										style={this.style.button}
+									>
+										Recover
+									</button>
+								</div>
+							)
+						}
+
 						<button
 							disabled={this.state.isSubmitting}
 							onClick={this.handleSubmit}
@@ -0,0 +1,55 @@
+import Koji from 'koji-tools';
+
+import { hashCode } from '../game/utils/baseUtils.js';
+import { getPlayerId, getPlayerSecret } from './player';
+
+// The friends group this player is in, kept in localStorage under the
+// same prefix the game uses for its settings. Players join a group by
+// opening the game with ?group=CODE, or create one from the leaderboard.
+const groupKey = () => hashCode(Koji.config.settings.name).concat('group');
+
+const getGroupCode = () => localStorage.getItem(groupKey());
+
+// send a group request and remember the group it returns
+const groupRequest = (path, body) => fetch(`${Koji.config.serviceMap.backend}${path}`, {
+	method: 'post',
+	headers: {
+		'Content-Type': 'application/json',
+	},
+	body: JSON.stringify({ ...body, playerId: getPlayerId(), playerSecret: getPlayerSecret() }),
+})
+	.then(response => response.json())
+	.then((group) => {
+		if (!group.success) {
+			throw new Error(group.error);
+		}
+
+		localStorage.setItem(groupKey(), group.code);
+		return group;
+	});
+
+const createGroup = name => groupRequest('/groups', { name });
+
+const joinGroup = code => groupRequest(`/groups/${encodeURIComponent(code)}/join`, {});
+
+// join the group in the page's ?group=CODE parameter, if there is one.
+// Rejects with the backend's error when the group can't be joined
+const joinGroupFromUrl = () => {
+	const code = new URLSearchParams(window.location.search).get('group');
+	if (!code || code.toUpperCase() === getGroupCode()) {
+		return Promise.resolve(null);
+	}
+
+	return joinGroup(code);
+}
+
+// link that joins a group when opened
+const groupUrl = code => `${window.location.origin}${window.location.pathname}?group=${code}`;
+
+export {
+	getGroupCode,
+	createGroup,
+	joinGroup,
+	joinGroupFromUrl,
+	groupUrl
+};
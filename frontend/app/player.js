@@ -0,0 +1,82 @@
+import Koji from 'koji-tools';
+
+import { hashCode } from '../game/utils/baseUtils.js';
+
+// A random id and secret for this player, created on first use and kept
+// in localStorage under the same prefix the game uses for its settings.
+// They stay the same across runs, so the backend can tell one player's
+// scores apart from another's, and keep the player's name for them.
+const storageKey = name => hashCode(Koji.config.settings.name).concat(name);
+
+const randomHex = (length) => {
+	const bytes = new Uint8Array(length);
+	window.crypto.getRandomValues(bytes);
+	return Array.from(bytes)
+		.map(b => b.toString(16).padStart(2, '0'))
+		.join('');
+}
+
+// get a stored value, creating it the first time
+const getOrCreate = (name, length) => {
+	const key = storageKey(name);
+
+	let value = localStorage.getItem(key);
+	if (!value) {
+		value = randomHex(length);
+		localStorage.setItem(key, value);
+	}
+
+	return value;
+}
+
+const getPlayerId = () => getOrCreate('playerId', 16);
+
+// sent with requests for this player, it proves the player id is ours
+const getPlayerSecret = () => getOrCreate('playerSecret', 32);
+
+// create a code the player can use to recover their
+// name on another device, resolves with the code
+const createRecoveryCode = () => fetch(`${Koji.config.serviceMap.backend}/players/${getPlayerId()}/recovery`, {
+	method: 'post',
+	headers: {
+		'Content-Type': 'application/json',
+	},
+	body: JSON.stringify({ playerSecret: getPlayerSecret() }),
+})
+	.then(response => response.json())
+	.then(({ success, error, recoveryCode }) => {
+		if (!success) {
+			throw new Error(error);
+		}
+		return recoveryCode;
+	});
+
+// take over a player with their recovery code, resolves with their name
+const recoverPlayer = (recoveryCode) => {
+	const playerSecret = randomHex(32);
+
+	return fetch(`${Koji.config.serviceMap.backend}/players/recover`, {
+		method: 'post',
+		headers: {
+			'Content-Type': 'application/json',
+		},
+		body: JSON.stringify({ recoveryCode, playerSecret }),
+	})
+		.then(response => response.json())
+		.then(({ success, error, playerId, name }) => {
+			if (!success) {
+				throw new Error(error);
+			}
+
+			localStorage.setItem(storageKey('playerId'), playerId);
+			localStorage.setItem(storageKey('playerSecret'), playerSecret);
+			return name;
+		});
+}
+
+export {
+	getPlayerId,
+	getPlayerSecret,
+	createRecoveryCode,
+	recoverPlayer
+};
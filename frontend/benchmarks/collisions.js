@@ -0,0 +1,105 @@
+/* eslint-env node */
+/* eslint-disable no-console */
+
+/**
+ * benchmarks/collisions.js
+ * 
+ * What it Does:
+ *   This file times finding every collision between a number of entities,
+ *   checking every entity against every other, and checking only the
+ *   nearby entities a spatial hash gives, see game/helpers/spatialHash.js
+ *   the spatial hash is rebuilt for every run, like the world does every update
+ * 
+ * How to Use it:
+ *   npm run benchmark
+ * 
+ */
+
+import SpatialHash from '../game/helpers/spatialHash.js';
+
+import { collideDistance } from '../game/utils/spriteUtils.js';
+import { seededRandom } from '../game/utils/baseUtils.js';
+
+const width = 1280;
+const height = 720;
+const size = 16; // entity width and height, like bullets or particles
+const cellSize = size * 2;
+
+const counts = [100, 500, 1000, 2000];
+const runs = 20;
+
+// entities spread over the screen, the same ones for every count
+const makeEntities = (count) => {
+    const random = seededRandom(count);
+
+    return Array.from({ length: count }, () => {
+        const x = random() * (width - size);
+        const y = random() * (height - size);
+        return { x, y, width: size, height: size, cx: x + size / 2, cy: y + size / 2, radius: size / 2 };
+    });
+}
+
+// every entity against every other
+const bruteForce = (entities) => {
+    let hits = 0;
+    entities.forEach((entity) => {
+        entities.forEach((other) => {
+            if (other !== entity && collideDistance(entity, other)) { hits += 1; }
+        });
+    });
+    return hits;
+}
+
+// every entity against the entities near it
+const spatialHash = (entities) => {
+    const hash = new SpatialHash(cellSize);
+    hash.rebuild(entities);
+
+    let hits = 0;
+    entities.forEach((entity) => {
+        hash.nearby(entity).forEach((other) => {
+            if (collideDistance(entity, other)) { hits += 1; }
+        });
+    });
+    return hits;
+}
+
+// milliseconds per run, and the hits found
+const time = (fn, entities) => {
+    let hits = 0;
+
+    const start = process.hrtime();
+    for (let i = 0; i < runs; i += 1) {
+        hits = fn(entities);
+    }
+    const [seconds, nanoseconds] = process.hrtime(start);
+
+    return { ms: (seconds * 1e3 + nanoseconds / 1e6) / runs, hits };
+}
+
+// warm up both ways, so the first count isn't timed while the code is compiled
+const warmUp = makeEntities(counts[counts.length - 1]);
+for (let i = 0; i < 5; i += 1) {
+    bruteForce(warmUp);
+    spatialHash(warmUp);
+}
+
+console.log(`${runs} runs of ${width}x${height}, entities ${size}px, cells ${cellSize}px\n`);
+console.log('entities   every entity   spatial hash   speedup');
+
+counts.forEach((count) => {
+    const entities = makeEntities(count);
+    const brute = time(bruteForce, entities);
+    const hashed = time(spatialHash, entities);
+
+    if (brute.hits !== hashed.hits) {
+        throw new Error(`spatial hash found ${hashed.hits} collisions, not ${brute.hits}`);
+    }
+
+    console.log([
+        String(count).padStart(8),
+        `${brute.ms.toFixed(2)}ms`.padStart(14),
+        `${hashed.ms.toFixed(2)}ms`.padStart(14),
+        `${(brute.ms / hashed.ms).toFixed(1)}x`.padStart(9)
+    ].join(' '));
+});
@@ -4,6 +4,8 @@
  * What it Does:
  *   This file is a basic player character
  *   it extends the imageSprite class and adds two collision detections methods
+ *   collisionsWith takes a list, an object, or a spatial hash of entities,
+ *   eg. collisionsWith(world.nearby(player, 'enemy'))
  * 
  * What to Change:
  *   Add any character specific methods
@@ -13,13 +15,15 @@
 
 import ImageSprite from '../objects/imageSprite.js';
 
+import { nearbyEntities } from '../utils/spriteUtils.js';
+
 class Player extends ImageSprite {
     constructor(options) {
         super(options);
     }
 
     collisionsWith(entities) {
-        let result = Object.entries(entities)
+        let result = Object.entries(nearbyEntities(this, entities))
         .find((ent) => { return this.collidesWith(ent[1]); })
         ? true : false;
 
@@ -0,0 +1,102 @@
+/**
+ * game/helpers/analytics.js
+ * 
+ * What it Does:
+ *   This file sends gameplay events to the backend in batches
+ *   so you can see how long runs last and where players quit.
+ * 
+ *   start: begins a new run (session) and sends a session_start event
+ * 
+ *   track: queues an event for the current run
+ *   eg. track('death', { lives: 2 })
+ * 
+ *   end: ends the run with its final score and sends the queue right away
+ * 
+ *   flush: sends any queued events, the queue is also sent every few seconds
+ * 
+ *   event types are session_start, session_end, death, pause, resume, and state_change
+ * 
+ * How to Use it:
+ *   const analytics = new Analytics(<backend url>);
+ *   analytics.start();
+ *   analytics.track('pause');
+ *   analytics.end(score);
+ * 
+ */
+
+const batchSize = 50; // most events the backend takes at once
+const flushDelay = 10 * 1000; // send queued events every 10 seconds
+
+// random id for a run
+const randomId = () => {
+    const bytes = new Uint8Array(16);
+    window.crypto.getRandomValues(bytes);
+    return Array.from(bytes)
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+class Analytics {
+    constructor(backend) {
+        this.url = `${backend}/analytics/events`;
+        this.sessionId = null;
+        this.queue = [];
+
+        this.timer = setInterval(() => this.flush(), flushDelay);
+    }
+
+    start() {
+        this.sessionId = randomId();
+        this.track('session_start');
+    }
+
+    track(type, data) {
+        // only track events during a run
+        if (!this.sessionId) { return; }
+
+        this.queue.push({
+            type: type,
+            sessionId: this.sessionId,
+            time: Date.now(),
+            data: data
+        });
+
+        if (this.queue.length >= batchSize) {
+            this.flush();
+        }
+    }
+
+    end(score) {
+        this.track('session_end', { score: score });
+        this.sessionId = null;
+        this.flush();
+    }
+
+    flush() {
+        if (this.queue.length < 1) { return; }
+
+        const events = this.queue.splice(0, batchSize);
+
+        // keepalive lets the request finish if the page is closing
+        fetch(this.url, {
+            method: 'post',
+            keepalive: true,
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ events })
+        })
+        .catch(err => console.error(err));
+
+        if (this.queue.length > 0) {
+            this.flush();
+        }
+    }
+
+    destroy() {
+        this.flush();
+        clearInterval(this.timer);
+    }
+}
+
+export default Analytics;
@@ -7,13 +7,14 @@
  * 
  *   requestAnimationFrame: takes a function we want to run.
  *   in the case of this game play() runs the function when the browser is ready
- *   and returns an integer representing the times it has been called.
- *   this way the game can keep track of frames and not continue calling play()
- *   when the browser is not in focus. The browser allows a new frame about every 60 seconds.
+ *   and returns an id for the request, which can be used to cancel it.
+ *   the browser doesn't run the function when the page is not in focus.
+ *   The browser allows a new frame about every 60th of a second.
+ *   the id isn't a count of frames, game/main.js counts its own updates
  * 
  *   checkout the requestFrame method in game/main.js that extends requestAnimationFrame
  * 
- *   cancelAnimationFrame: takes the frame number and cancels the animation
+ *   cancelAnimationFrame: takes the request id and cancels the animation
  *   checkout the cancelFrame method in game/main.js that extends cancelAnimationFrame
  * 
  * Learn more:
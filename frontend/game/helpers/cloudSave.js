@@ -0,0 +1,121 @@
+/**
+ * game/helpers/cloudSave.js
+ * 
+ * What it Does:
+ *   This file keeps the player's progress in localStorage and on the
+ *   backend, so it follows the player to other devices.
+ * 
+ *   save: stores progress locally and sends it to the backend,
+ *   resolves with the progress that was kept
+ * 
+ *   load: gets the newest progress from the backend or localStorage,
+ *   resolves with null if there isn't any
+ * 
+ *   Every save has a version from the backend. If another device saved
+ *   since this one last synced, the newest save wins, and save() resolves
+ *   with the progress from the other device if that one was newer.
+ * 
+ * How to Use it:
+ *   const cloudSave = new CloudSave(<backend url>, <player id>, <player secret>, <storage key>);
+ *   cloudSave.save({ level: 3 });
+ *   cloudSave.load().then(progress => ...);
+ * 
+ */
+
+class CloudSave {
+    constructor(backend, playerId, playerSecret, key) {
+        this.url = `${backend}/saves/${playerId}`;
+        this.secret = playerSecret;
+        this.key = key;
+    }
+
+    // the save kept on this device
+    // { version, savedAt, data, synced }
+    get local() {
+        try {
+            return JSON.parse(localStorage.getItem(this.key));
+        } catch (err) {
+            return null;
+        }
+    }
+
+    set local(save) {
+        localStorage.setItem(this.key, JSON.stringify(save));
+    }
+
+    save(data) {
+        const local = this.local;
+
+        this.local = {
+            version: local ? local.version : 0,
+            savedAt: Date.now(),
+            data: data,
+            synced: false
+        };
+
+        return this.sync();
+    }
+
+    load() {
+        return fetch(this.url, {
+            headers: {
+                'X-Player-Secret': this.secret,
+            }
+        })
+        .then(response => response.json())
+        .then(({ save }) => {
+            const local = this.local;
+
+            // keep the newer one, and send local
+            // changes the backend hasn't seen yet
+            if (local && !local.synced && (!save || local.savedAt > save.savedAt)) {
+                return this.sync();
+            }
+
+            if (save) {
+                this.local = { ...save, synced: true };
+            }
+
+            return save ? save.data : null;
+        })
+        .catch(err => {
+            // offline, use what's on this device
+            console.error(err);
+            return this.local ? this.local.data : null;
+        });
+    }
+
+    // send the local save to the backend
+    sync() {
+        const local = this.local;
+
+        return fetch(this.url, {
+            method: 'put',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                playerSecret: this.secret,
+                data: local.data,
+                version: local.version,
+                savedAt: local.savedAt
+            })
+        })
+        .then(response => response.json())
+        .then(({ save }) => {
+            // a 409 sends back the newer save from another device
+            if (save) {
+                this.local = { ...save, synced: true };
+                return save.data;
+            }
+            return local.data;
+        })
+        .catch(err => {
+            // offline, sent on the next save or load
+            console.error(err);
+            return local.data;
+        });
+    }
+}
+
+export default CloudSave;
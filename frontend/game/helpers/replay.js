@@ -0,0 +1,113 @@
+/**
+ * game/helpers/replay.js
+ * 
+ * What it Does:
+ *   This file records a run so the backend can play it back and check
+ *   the score. A replay holds the random seed, the length of the game's
+ *   update step, the screen and player the run started with, every
+ *   update's movement input, and the points scored in each update.
+ * 
+ *   start: begins recording a run with a seed, the update step
+ *   and the starting screen and player
+ * 
+ *   record: adds an update, returns the movement input rounded the way
+ *   it's stored, move with the returned input so playback matches
+ * 
+ *   score: adds points scored in the current update, the backend adds
+ *   them up to check the saved score, see addScore in game/main.js
+ * 
+ *   toJSON: the replay to send with the score, or null if
+ *   nothing was recorded or the run was too long to keep
+ * 
+ *   backend/src/simulation.js plays replays back, keep it in step
+ *   with game/scenes/playScene.js when changing how the player moves
+ * 
+ * How to Use it:
+ *   const replay = new Replay();
+ *   replay.start(seed, { step, screen, player });
+ *   let { dx, dy } = replay.record(dx, dy);
+ *   replay.score(10);
+ *   replay.toJSON();
+ * 
+ */
+
+const version = 2; // replay format, checked by the backend
+const maxRuns = 20000; // most runs of updates kept, about 5 minutes of steady input
+
+// round input so the stored replay plays back exactly
+const round = n => Math.round(n * 1000) / 1000;
+
+class Replay {
+    constructor() {
+        this.data = null;
+        this.updates = 0; // updates recorded so far
+    }
+
+    start(seed, { step, screen, player }) {
+        this.data = {
+            version: version,
+            seed: seed,
+            step: step,
+            screen: {
+                width: screen.width,
+                height: screen.height,
+                scale: screen.scale
+            },
+            player: {
+                x: player.x,
+                y: player.y,
+                width: player.width,
+                height: player.height,
+                speed: player.speed
+            },
+            // [dx, dy, count], count is left out when it's 1
+            frames: [],
+            // [update, points], update is the number of updates before the points
+            scores: []
+        };
+        this.updates = 0;
+    }
+
+    record(dx, dy) {
+        const input = { dx: round(dx), dy: round(dy) };
+
+        if (!this.data) { return input; }
+
+        this.updates += 1;
+
+        const frames = this.data.frames;
+        const last = frames[frames.length - 1];
+
+        // identical updates in a row are stored once with a count
+        if (last && last[0] === input.dx && last[1] === input.dy) {
+            last[2] = (last[2] || 1) + 1;
+        } else if (frames.length < maxRuns) {
+            frames.push([input.dx, input.dy]);
+        } else {
+            // too long to send, stop recording
+            this.data = null;
+        }
+
+        return input;
+    }
+
+    score(points) {
+        if (!this.data) { return; }
+
+        const scores = this.data.scores;
+        const last = scores[scores.length - 1];
+
+        // points scored in the same update are stored once
+        if (last && last[0] === this.updates) {
+            last[1] += points;
+        } else {
+            scores.push([this.updates, points]);
+        }
+    }
+
+    toJSON() {
+        return this.data;
+    }
+}
+
+export default Replay;
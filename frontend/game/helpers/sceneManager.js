@@ -0,0 +1,144 @@
+/**
+ * game/helpers/sceneManager.js
+ * 
+ * What it Does:
+ *   This file keeps track of the game's scenes, see game/scenes/scene.js
+ *   scenes are kept in a stack, the bottom is the current scene and
+ *   overlay scenes, like paused, are pushed on top of it
+ * 
+ *   change: ends every scene in the stack and starts another one
+ *   eg. change('gameover')
+ * 
+ *   push: starts an overlay scene on top of the current one, the
+ *   scene under it stops updating but is still drawn
+ *   eg. push('paused')
+ * 
+ *   pop: ends the top overlay scene, and resumes the one under it
+ * 
+ *   a scene can only change or push to the scenes in its transitions,
+ *   anything else throws, so a scene can't be reached from the wrong state
+ * 
+ *   update, draw, key, and click: pass the game loop and input to the scenes
+ * 
+ * How to Use it:
+ *   const scenes = new SceneManager({ menu: new MenuScene(game), ... }, onChange);
+ *   scenes.change('menu');
+ *   scenes.is('menu'); // true
+ * 
+ *   onChange(from, to) is called after every change, push, and pop
+ * 
+ */
+
+class SceneManager {
+    constructor(scenes, onChange = () => {}) {
+        this.scenes = scenes;
+        this.onChange = onChange;
+        this.stack = [];
+
+        Object.entries(scenes)
+        .forEach(([name, scene]) => { scene.name = name; });
+    }
+
+    // the top scene, which gets updates and input
+    get current() {
+        return this.stack[this.stack.length - 1] || null;
+    }
+
+    // name of the top scene
+    get name() {
+        return this.current ? this.current.name : '';
+    }
+
+    // is the top scene this one
+    is(name) {
+        return this.name === name;
+    }
+
+    // is this scene anywhere in the stack
+    has(name) {
+        return this.stack.some(scene => scene.name === name);
+    }
+
+    // can the top scene change or push to this one
+    can(name) {
+        return !!this.scenes[name] && (!this.current || this.current.transitions.includes(name));
+    }
+
+    // get a scene to move to, or throw if the top scene can't move to it
+    target(name) {
+        if (!this.can(name)) {
+            throw new Error(`Scene ${this.name} can't change to ${name}`);
+        }
+        return this.scenes[name];
+    }
+
+    change(name) {
+        let from = this.name;
+        let next = this.target(name);
+
+        // end overlays first, then the scene under them
+        while (this.stack.length > 0) {
+            this.stack.pop().exit(name);
+        }
+
+        this.stack.push(next);
+        next.enter(from);
+
+        this.onChange(from, name);
+    }
+
+    push(name) {
+        let from = this.name;
+        let next = this.target(name);
+
+        if (!next.overlay) {
+            throw new Error(`Scene ${name} isn't an overlay`);
+        }
+
+        this.current.suspend(name);
+        this.stack.push(next);
+        next.enter(from);
+
+        this.onChange(from, name);
+    }
+
+    pop() {
+        if (!this.current || !this.current.overlay) {
+            throw new Error(`Scene ${this.name} isn't an overlay`);
+        }
+
+        let last = this.stack.pop();
+        last.exit(this.name);
+        this.current.resume(last.name);
+
+        this.onChange(last.name, this.name);
+    }
+
+    // only the top scene moves forward
+    update() {
+        if (this.current) {
+            this.current.update();
+        }
+    }
+
+    // scenes are drawn bottom to top. scenes under an overlay aren't
+    // updating, so they're drawn where their last update left them
+    draw(alpha) {
+        this.stack
+        .forEach((scene, i) => scene.draw(i === this.stack.length - 1 ? alpha : 1));
+    }
+
+    key(type, code) {
+        if (this.current) {
+            this.current.key(type, code);
+        }
+    }
+
+    click(target) {
+        if (this.current) {
+            this.current.click(target);
+        }
+    }
+}
+
+export default SceneManager;
@@ -0,0 +1,165 @@
+/**
+ * game/helpers/spatialHash.js
+ * 
+ * What it Does:
+ *   This file splits the screen into a grid of square cells and keeps
+ *   track of the entities in each cell, so collision checks only test
+ *   entities near each other instead of every entity against every other
+ *   the world keeps one and rebuilds it every update, see game/helpers/world.js
+ * 
+ *   rebuild: empties the grid and adds a list of entities
+ * 
+ *   insert / remove: add or take out one entity
+ * 
+ *   update: moves an entity to the cells it's in now, call it after
+ *   moving an entity once the grid was built
+ * 
+ *   nearby: lists the other entities in the cells an entity covers,
+ *   optionally only those with a tag
+ *   eg. nearby(player, 'enemy')
+ * 
+ *   query: lists the entities in the cells a box covers
+ *   eg. query({ left: 0, top: 0, right: 100, bottom: 100 })
+ * 
+ *   an entity covers every cell its collision box touches, see
+ *   collisionBox in game/utils/spriteUtils.js
+ * 
+ * What to Change:
+ *   cellSize works best at about twice the size of most entities
+ * 
+ * How to Use it:
+ *   const hash = new SpatialHash(120);
+ *   hash.rebuild(enemies);
+ *   player.collisionsWith(hash);
+ * 
+ */
+
+import {
+    gridCell,
+    setGridCell
+} from '../utils/gridUtils.js';
+
+import {
+    collisionBox
+} from '../utils/spriteUtils.js';
+
+// call fn with the x and y of every cell in a range
+const forCells = (range, fn) => {
+    for (let x = range.left; x <= range.right; x += 1) {
+        for (let y = range.top; y <= range.bottom; y += 1) {
+            fn(x, y);
+        }
+    }
+}
+
+// tags are a set on entities in the world, and a list on other sprites
+const hasTag = (entity, tag) => {
+    let tags = entity.tags || [];
+    return typeof tags.has === 'function' ? tags.has(tag) : tags.includes(tag);
+}
+
+const sameRange = (a, b) => {
+    return a.left === b.left && a.top === b.top &&
+    a.right === b.right && a.bottom === b.bottom;
+}
+
+class SpatialHash {
+    constructor(cellSize = 64) {
+        this.cellSize = cellSize;
+        this.clear();
+    }
+
+    clear() {
+        this.grid = []; // grid[x][y] is a list of the entities in that cell
+        this.ranges = new Map(); // entity -> range of cells it's in
+    }
+
+    // get the range of cells a box covers
+    range(box) {
+        return {
+            left: Math.floor(box.left / this.cellSize),
+            top: Math.floor(box.top / this.cellSize),
+            right: Math.floor(box.right / this.cellSize),
+            bottom: Math.floor(box.bottom / this.cellSize)
+        };
+    }
+
+    insert(entity) {
+        let box = collisionBox(entity);
+        if (!box || this.ranges.has(entity)) { return; }
+
+        let range = this.range(box);
+        this.ranges.set(entity, range);
+
+        forCells(range, (x, y) => {
+            let cell = gridCell(this.grid, x, y);
+            if (!cell) {
+                cell = [];
+                setGridCell(this.grid, { x, y }, cell);
+            }
+            cell.push(entity);
+        });
+    }
+
+    remove(entity) {
+        let range = this.ranges.get(entity);
+        if (!range) { return; }
+
+        forCells(range, (x, y) => {
+            let cell = gridCell(this.grid, x, y);
+            if (cell) {
+                setGridCell(this.grid, { x, y }, cell.filter(e => e !== entity));
+            }
+        });
+
+        this.ranges.delete(entity);
+    }
+
+    update(entity) {
+        let box = collisionBox(entity);
+        let range = this.ranges.get(entity);
+
+        // still in the same cells
+        if (box && range && sameRange(range, this.range(box))) { return; }
+
+        this.remove(entity);
+        this.insert(entity);
+    }
+
+    rebuild(entities) {
+        this.clear();
+        entities.forEach(entity => this.insert(entity));
+    }
+
+    // entities in the cells a box covers
+    query(box) {
+        let range = this.range(box);
+
+        // one cell has no entity twice
+        if (range.left === range.right && range.top === range.bottom) {
+            return [...(gridCell(this.grid, range.left, range.top) || [])];
+        }
+
+        let found = new Set();
+
+        forCells(range, (x, y) => {
+            let cell = gridCell(this.grid, x, y);
+            if (cell) {
+                cell.forEach(entity => found.add(entity));
+            }
+        });
+
+        return [...found];
+    }
+
+    // other entities that could collide with an entity, with a tag if one is given
+    nearby(entity, tag) {
+        let box = collisionBox(entity);
+        if (!box) { return []; }
+
+        return this.query(box)
+        .filter(e => e !== entity && (!tag || hasTag(e, tag)));
+    }
+}
+
+export default SpatialHash;
@@ -0,0 +1,231 @@
+/**
+ * game/helpers/world.js
+ * 
+ * What it Does:
+ *   This file keeps every live entity of the game, like the player,
+ *   enemies, or particles, so they don't have to be wired into the game
+ *   loop one by one. Entities are usually sprites, anything with an
+ *   update(dt, world) or draw(alpha, ctx) method can be added
+ * 
+ *   add: adds an entity, with a z order and tags
+ *   eg. add(enemy, { z: 1, tags: ['enemy'] })
+ * 
+ *   remove: removes an entity. during update, draw, or each the entity
+ *   is skipped right away, and taken out once the loop is done
+ * 
+ *   query: lists the live entities with a tag, in z order
+ *   eg. query('enemy')
+ * 
+ *   nearby: lists the live entities near an entity, optionally with a tag,
+ *   from a spatial hash of the world, see game/helpers/spatialHash.js
+ *   eg. player.collisionsWith(world.nearby(player, 'enemy'))
+ * 
+ *   moved: updates the spatial hash for an entity moved outside of update
+ * 
+ *   update: remembers where each entity was (see sprite snapshot),
+ *   then calls update(dt, world) on each entity, and rebuilds the spatial hash
+ * 
+ *   draw: calls draw(alpha, ctx) on each entity, lowest z first
+ * 
+ *   entities added during a loop join once the loop is done,
+ *   so a bullet fired in an update isn't updated until the next one
+ * 
+ * How to Use it:
+ *   const world = new World({ cellSize: 120 });
+ *   world.add(player, { tags: ['player'], z: 1 });
+ *   world.update(step);
+ *   world.draw(ctx, alpha);
+ *   world.query('enemy').forEach(enemy => world.remove(enemy));
+ * 
+ */
+
+import SpatialHash from './spatialHash.js';
+
+// lowest z first, then the order entities were added in
+const byZ = (a, b) => (a.z - b.z) || (a.order - b.order);
+
+class World {
+    // cellSize is the size of the spatial hash's cells
+    constructor({ cellSize } = {}) {
+        this.entities = []; // live entities, in z order when sorted
+        this.members = new Set(); // every live entity, including pending ones
+        this.tagged = new Map(); // tag -> set of entities
+        this.hash = new SpatialHash(cellSize); // entities by where they are
+
+        this.pending = []; // entities added during a loop
+        this.removed = []; // entities removed during a loop
+
+        this.looping = 0; // number of loops running, loops can nest
+        this.sorted = true;
+        this.order = 0; // entities with the same z keep the order they were added in
+    }
+
+    get size() {
+        return this.members.size;
+    }
+
+    // add an entity, z and tags default to the entity's own
+    add(entity, { z, tags = [] } = {}) {
+        if (this.has(entity)) { return entity; }
+
+        entity.z = typeof z === 'number' ? z : (entity.z || 0);
+        entity.tags = new Set([...(entity.tags || []), ...tags]);
+        entity.alive = true;
+        entity.order = this.order++;
+
+        this.members.add(entity);
+        this.hash.insert(entity);
+
+        entity.tags.forEach(tag => this.index(entity, tag));
+
+        // an entity removed and added back in the same loop is still in the list
+        if (this.looping && !this.removed.includes(entity)) {
+            this.pending.push(entity);
+        } else if (this.looping) {
+            this.removed = this.removed.filter(e => e !== entity);
+        } else {
+            this.entities.push(entity);
+            this.sorted = false;
+        }
+
+        return entity;
+    }
+
+    remove(entity) {
+        if (!this.has(entity)) { return; }
+
+        entity.alive = false;
+        this.members.delete(entity);
+        this.hash.remove(entity);
+        entity.tags.forEach(tag => this.tagged.get(tag).delete(entity));
+
+        if (this.looping) {
+            this.removed.push(entity);
+        } else {
+            this.entities = this.entities.filter(e => e !== entity);
+            this.pending = this.pending.filter(e => e !== entity);
+        }
+    }
+
+    // remove every entity
+    clear() {
+        [...this.members].forEach(entity => this.remove(entity));
+    }
+
+    has(entity) {
+        return this.members.has(entity);
+    }
+
+    tag(entity, ...tags) {
+        tags.forEach((tag) => {
+            entity.tags.add(tag);
+            if (this.has(entity)) { this.index(entity, tag); }
+        });
+    }
+
+    untag(entity, ...tags) {
+        tags.forEach((tag) => {
+            entity.tags.delete(tag);
+            if (this.tagged.has(tag)) { this.tagged.get(tag).delete(entity); }
+        });
+    }
+
+    // move an entity in front of or behind others
+    setZ(entity, z) {
+        entity.z = z;
+        this.sorted = false;
+    }
+
+    // live entities with a tag, in z order
+    query(tag) {
+        const entities = this.tagged.get(tag);
+        if (!entities || entities.size === 0) { return []; }
+
+        return [...entities].sort(byZ);
+    }
+
+    // live entities near an entity, with a tag if one is given
+    nearby(entity, tag) {
+        return this.hash.nearby(entity, tag);
+    }
+
+    // keep the spatial hash current for an entity moved outside of update
+    moved(entity) {
+        if (this.has(entity)) { this.hash.update(entity); }
+    }
+
+    // first live entity with a tag
+    first(tag) {
+        return this.query(tag)[0] || null;
+    }
+
+    // call fn on each live entity in z order, it's safe to add and remove entities in fn
+    each(fn) {
+        this.sort();
+        this.looping += 1;
+
+        try {
+            this.entities.forEach((entity) => {
+                if (entity.alive) { fn(entity); }
+            });
+        } finally {
+            this.looping -= 1;
+            this.settle();
+        }
+    }
+
+    // move every entity forward by dt milliseconds
+    update(dt) {
+        this.each((entity) => {
+            if (entity.snapshot) { entity.snapshot(); }
+        });
+
+        this.each((entity) => {
+            if (entity.update) { entity.update(dt, this); }
+        });
+
+        // every entity may have moved
+        this.hash.rebuild([...this.members]);
+    }
+
+    // draw every entity, lowest z first
+    // alpha is how far the game is from the last update to the next
+    draw(ctx, alpha = 1) {
+        this.each((entity) => {
+            if (entity.draw) { entity.draw(alpha, ctx); }
+        });
+    }
+
+    // put entities in z order
+    sort() {
+        if (this.sorted) { return; }
+
+        this.entities.sort(byZ);
+        this.sorted = true;
+    }
+
+    // apply adds and removes made during loops, once they're done
+    settle() {
+        if (this.looping) { return; }
+
+        // entities added back after being removed stay
+        if (this.removed.length > 0) {
+            this.entities = this.entities.filter(e => e.alive);
+            this.pending = this.pending.filter(e => e.alive);
+            this.removed = [];
+        }
+
+        if (this.pending.length > 0) {
+            this.entities = this.entities.concat(this.pending);
+            this.pending = [];
+            this.sorted = false;
+        }
+    }
+
+    index(entity, tag) {
+        if (!this.tagged.has(tag)) { this.tagged.set(tag, new Set()); }
+        this.tagged.get(tag).add(entity);
+    }
+}
+
+export default World;
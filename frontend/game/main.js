@@ -7,17 +7,29 @@
  *   
  *   Load: is where images, sounds, and fonts are loaded
  *   
- *   Create: is where game elements and characters are created
+ *   Create: is where game elements and characters are created,
+ *   and added to the world, which updates and draws them
  *   
- *   Play: is where game characters are updated according to game play
- *   before drawing a new frame to the screen, and calling play again
+ *   Play: is the game loop, it runs update for the time since the last
+ *   frame before drawing a new frame to the screen, and calling play again
  *   this creates an animation just like the pages of a flip book
  * 
+ *   Update: moves the current scene forward. it always moves the game
+ *   forward by the same step of time, so the game plays the same at any
+ *   frame rate and runs can be replayed
+ * 
+ *   Render: is where the scenes are drawn, as often as the browser
+ *   allows. sprites are drawn between their last two updates
+ * 
+ *   Scenes: each state of the game, loading, menu, play, paused, win,
+ *   and gameover, is a scene in game/scenes with its own update, drawing,
+ *   and input handling. paused is an overlay scene pushed over play
+ * 
  *   Other parts include boilerplate for requesting and canceling new frames
  *   handling input events, pausing, muting, etc.
  * 
  * What to Change:
- *   Most things to change will be in the play function
+ *   Most things to change will be in the scenes, game play is in game/scenes/playScene.js
  */
 
 import Koji from 'koji-tools';
@@ -35,7 +47,8 @@ import {
 } from 'game-asset-loader';
 
 import {
-    hashCode
+    hashCode,
+    seededRandom
 } from './utils/baseUtils.js'
 
 import {
@@ -53,6 +66,21 @@ import {
 import audioContext from 'audio-context';
 import audioPlayback from 'audio-play';
 
+import Analytics from './helpers/analytics.js';
+import CloudSave from './helpers/cloudSave.js';
+import Replay from './helpers/replay.js';
+import SceneManager from './helpers/sceneManager.js';
+import World from './helpers/world.js';
+
+import LoadingScene from './scenes/loadingScene.js';
+import MenuScene from './scenes/menuScene.js';
+import PlayScene from './scenes/playScene.js';
+import PausedScene from './scenes/pausedScene.js';
+import WinScene from './scenes/winScene.js';
+import GameoverScene from './scenes/gameoverScene.js';
+
+import { getPlayerId, getPlayerSecret } from '../app/player.js';
+
 import Player from './characters/player.js';
 
 class Game {
@@ -70,6 +98,10 @@ class Game {
         this.ctx = canvas.getContext("2d"); // game screen context
         this.audioCtx = audioContext();
         this.playlist = [];
+        this.stopped = false; // set when the game is destroyed, ends the game loop
+
+        this.analytics = new Analytics(this.config.serviceMap.backend); // gameplay events
+        this.cloudSave = new CloudSave(this.config.serviceMap.backend, getPlayerId(), getPlayerSecret(), this.prefix.concat('save')); // player progress
 
         // setup event listeners
         // handle keyboard events
@@ -97,29 +129,29 @@ class Game {
         // handle koji config changes
         Koji.on('change', (scope, key, value) => {
             this.config[scope][key] = value;
-            this.cancelFrame(this.frame.count - 1);
+            this.cancelFrame();
             this.load();
         });
 
     }
 
     init() {
-        // frame count, rate, and time
-        // this is just a place to keep track of frame rate (not set it)
+        // game loop timing, see play()
+        // update runs in fixed steps, frames are drawn at the browser's rate
         this.frame = {
-            count: 0,
-            time: Date.now(),
-            rate: null,
-            scale: null
+            count: 0, // updates run so far
+            id: null, // requestAnimationFrame id, only used to cancel the next frame
+            time: performance.now(), // time the last frame was drawn
+            lag: 0, // time since the last update, in milliseconds
+            step: 1000 / 60, // time each update moves the game forward, in milliseconds
+            maxSteps: 5, // most updates run in one frame, a longer gap is skipped
+            scale: null // movement scale for one step, set with the screen
         };
 
         // game settings
         this.state = {
-            current: 'loading',
-            prev: '',
             score: 0,
             lives: parseInt(this.config.settings.lives),
-            paused: false,
             muted: localStorage.getItem(this.prefix.concat('muted')) === 'true'
         };
 
@@ -137,6 +169,27 @@ class Game {
 
         this.player = {};
 
+        // game states, see game/scenes/scene.js
+        this.scenes = new SceneManager({
+            loading: new LoadingScene(this),
+            menu: new MenuScene(this),
+            play: new PlayScene(this),
+            paused: new PausedScene(this),
+            win: new WinScene(this),
+            gameover: new GameoverScene(this)
+        }, (from, to) => this.trackScene(from, to));
+
+        this.scenes.change('loading');
+
+        this.session = null; // score session token for the current run
+        this.board = null; // leaderboard for the current mode or level, null for the default board
+
+        // random numbers for the current run, use this.random() instead of
+        // Math.random() in game play so runs can be replayed from their seed
+        this.seed = 0;
+        this.random = seededRandom(this.seed);
+        this.replay = new Replay(); // recording of the current run
+
         // set topbar and topbar color
         this.topbar.active = this.config.settings.gameTopBar;
         this.topbar.style.display = this.topbar.active ? 'block' : 'none';
@@ -159,6 +212,12 @@ class Game {
             scale: ((this.canvas.width + this.canvas.height) / 2) * 0.003
         };
 
+        this.frame.scale = this.screen.scale * this.frame.step * 0.01;
+
+        // every live game character, see game/helpers/world.js
+        // collision cells are about twice the player's size
+        this.world = new World({ cellSize: 120 * this.screen.scale });
+
         // set document body to backgroundColor
         document.body.style.backgroundColor = this.config.colors.backgroundColor;
 
@@ -216,23 +275,62 @@ class Game {
             width: playerSize.width,
             height: playerSize.height,
             speed: 50,
-            bounds: this.screen
+            bounds: this.screen,
+            z: 1,
+            tags: ['player']
         });
 
+        this.world.add(this.player);
+
         // set overlay styles
         this.overlay.setStyles({...this.config.colors, ...this.config.settings});
 
-        this.setState({ current: 'ready' });
-        this.play();
+        this.scenes.change('menu');
+        this.requestFrame(() => this.play(), true);
     }
 
     play() {
-        // update game characters
-        if (this.state.current === 'stop') {
+        if (this.stopped) {
             this.cancelFrame();
+            return;
         }
 
+        let now = performance.now();
+        this.frame.lag += now - this.frame.time;
+        this.frame.time = now;
 
+        // run an update for every step of time since the last update
+        let steps = 0;
+        while (this.frame.lag >= this.frame.step && steps < this.frame.maxSteps) {
+            this.update();
+
+            this.frame.lag -= this.frame.step;
+            this.frame.count += 1;
+            steps += 1;
+        }
+
+        // after a long gap, like a tab in the background,
+        // skip ahead instead of running every missed update
+        if (this.frame.lag >= this.frame.step) {
+            this.frame.lag = 0;
+        }
+
+        // draw part of the way to the next update
+        this.render(this.frame.lag / this.frame.step);
+
+        // draw the next screen
+        this.requestFrame(() => this.play());
+    }
+
+    update() {
+        // only the top scene moves forward, game
+        // play stands still under the pause scene
+        this.scenes.update();
+    }
+
+    // alpha is how far the game is from the last update to the next,
+    // from 0 to 1. sprites drawn with it move smoothly between updates
+    render(alpha) {
         // clear the screen of the last picture
         this.ctx.fillStyle = this.config.colors.backgroundColor; 
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
@@ -245,99 +343,13 @@ class Game {
         this.overlay.setLives(this.state.lives);
         this.overlay.setScore(this.state.score);
 
-        // ready to play
-        if (this.state.current === 'ready') {
-
-          if (this.state.prev === 'loading') {
-
-            this.overlay.hide('loading');
-            this.canvas.style.opacity = 1;
-
-            this.overlay.setBanner(this.config.settings.name);
-            this.overlay.setButton(this.config.settings.startText);
-            this.overlay.setInstructions({
-                desktop: this.config.settings.instructionsDesktop,
-                mobile: this.config.settings.instructionsMobile
-            });
-
-            this.overlay.show('stats');
-
-            this.overlay.setMute(this.state.muted);
-            this.overlay.setPause(this.state.paused);
-
-            this.setState({ current: 'ready' });
-          }
-
-        }
-
-        // game play
-        if (this.state.current === 'play') {
-
-            // if last state was 'ready'
-            // hide overlay items
-            if (this.state.prev === 'ready') {
-                this.overlay.hide(['banner', 'button', 'instructions'])
-            }
-
-            // play background music
-            if (!this.state.muted && !this.state.backgroundMusic) {
-                this.state.backgroundMusic = true;
-                this.playback('backgroundMusic', this.sounds.backgroundMusic, {
-                    start: 0,
-                    end: this.sounds.backgroundMusic.duration,
-                    loop: true,
-                    context: this.audioCtx
-                });
-            }
-
-            // player bounce
-            let ddy = Math.cos(this.frame.count / 5) / 20;
-
-            // move player with keyboard
-            if (this.input.active === 'keyboard') {
-                let { up, right, down, left } = this.input.keyboard;
-
-                let dx = (left ? -1 : 0) + (right ? 1 : 0);
-                let dy = (up ? -1 : 0) + (down ? 1 : 0);
-
-                this.player.move(dx, dy + ddy, this.frame.scale);
-            }
-
-            if (this.input.active === 'touch') {
-                let { x, y } = this.input.touch;
-                let { cx, cy } = this.player;
-
-                let dx = (x - cx) / (x * 2);
-                let dy = (y - cy) / (y * 2);
-
-                this.player.move(dx, dy + ddy, this.frame.scale);
-            }
-
-            this.player.draw();
-        }
-
-        // player wins
-        if (this.state.current === 'win') {
-            // win code
-
-        }
-
-        // game over
-        if (this.state.current === 'over') {
-    window.setScore(this.state.score);
-    window.setAppView('setScore');
-
-            window.setScore(this.state.score);
-            window.setAppView('setScore');
-        }
-
-        // draw the next screen
-        this.requestFrame(() => this.play());
+        // draw the scenes, overlays on top
+        this.scenes.draw(alpha);
     }
 
     // event listeners
     handleClicks(target) {
-        if (this.state.current === 'loading') { return; }
+        if (this.scenes.is('loading')) { return; }
         // mute
         if (target.id === 'mute') {
             this.mute();
@@ -348,69 +360,15 @@ class Game {
             this.pause();
         }
 
-        // button
-        if ( target.id === 'button') {
-            this.setState({ current: 'play' });
-
-            // if defaulting to have sound on by default
-            // double mute() to warmup iphone audio here
-            this.mute();
-            this.mute();
-        }
-
+        // anything else, like the start button, is up to the scene
+        this.scenes.click(target);
     }
 
     handleKeyboardInput(type, code) {
         this.input.active = 'keyboard';
 
-        if (type === 'keydown' && this.state.current === 'play') {
-            if (code === 'ArrowUp') {
-                this.input.keyboard.up = true
-            }
-            if (code === 'ArrowRight') {
-                this.input.keyboard.right = true
-            }
-            if (code === 'ArrowDown') {
-                this.input.keyboard.down = true
-            }
-            if (code === 'ArrowLeft') {
-                this.input.keyboard.left = true
-            }
-        }
-
-        if (type === 'keyup' && this.state.current === 'play') {
-            if (code === 'ArrowUp') {
-                this.input.keyboard.up = false
-            }
-            if (code === 'ArrowRight') {
-                this.input.keyboard.right = false
-            }
-            if (code === 'ArrowDown') {
-                this.input.keyboard.down = false
-            }
-            if (code === 'ArrowLeft') {
-                this.input.keyboard.left = false
-            }
-
-            if (code === 'Space') {
-                this.pause(); // pause
-            }
-
-            if (code === 'Enter') {
-                this.setState({ current: 'over' })
-            }
-        }
-
-        // start game on read
-        if (type === 'keydown' && this.state.current === 'ready') {
-            this.setState({ current: 'play' });
-        }
-
-        // reload on game over
-        if (type === 'keydown' && this.state.current === 'over') {
-            this.load();
-        }
-
+        // keys are up to the scene, like moving in play or starting from the menu
+        this.scenes.key(type, code);
     }
 
     handleMouseMove(y) {
@@ -442,30 +400,12 @@ class Game {
     }
 
     // pause game
+    // pushes the paused scene over game play, or pops it to resume
     pause() {
-        if (this.state.current != 'play') { return; }
-
-        this.state.paused = !this.state.paused;
-        this.overlay.setPause(this.state.paused);
-
-        if (this.state.paused) {
-            // pause game loop
-            this.cancelFrame(this.frame.count - 1);
-
-            // mute all game sounds
-            this.audioCtx.suspend();
-
-            this.overlay.setBanner('Paused');
-        } else {
-            // resume game loop
-            this.requestFrame(() => this.play(), true);
-
-            // resume game sounds if game not muted
-            if (!this.state.muted) {
-                this.audioCtx.resume();
-            }
-
-            this.overlay.hide('banner');
+        if (this.scenes.is('paused')) {
+            this.scenes.pop();
+        } else if (this.scenes.is('play')) {
+            this.scenes.push('paused');
         }
     }
 
@@ -485,7 +425,7 @@ class Game {
             this.audioCtx.suspend();
         } else {
             // unmute all game sounds
-            if (!this.state.paused) {
+            if (!this.scenes.has('paused')) {
                 this.audioCtx.resume();
             }
         }
@@ -532,46 +472,131 @@ class Game {
         .forEach(s => this.stopPlayback(s.key))
     }
 
+    // save the player's progress, any JSON object, on this device
+    // and the backend. Resolves with the progress that was kept, which
+    // is from another device if that one was saved more recently
+    // eg. this.saveProgress({ level: 3 }).then(progress => ...)
+    saveProgress(progress) {
+        return this.cloudSave.save(progress);
+    }
+
+    // get the player's newest progress, from this device or the backend.
+    // Resolves with null if the player has no progress saved
+    // eg. this.loadProgress().then(progress => ...)
+    loadProgress() {
+        return this.cloudSave.load();
+    }
+
+    // start playing a new run with a new random seed,
+    // recording it so the backend can check the score
+    startRun() {
+        this.seed = Math.floor(Math.random() * 4294967296);
+        this.random = seededRandom(this.seed);
+        this.replay.start(this.seed, { step: this.frame.step, screen: this.screen, player: this.player });
+
+        this.scenes.change('play');
+        this.requestSession();
+    }
+
+    // add points to the score, recording them in the run's replay
+    // so the backend can check the score. Score with this, don't
+    // change state.score directly
+    // eg. this.addScore(10)
+    addScore(points) {
+        this.state.score += points;
+        this.replay.score(points);
+    }
+
+    // end the run, sending the score and replay to the leaderboard
+    endRun() {
+        window.setScore(this.state.score, this.session, this.board, this.replay.toJSON());
+        window.setAppView('setScore');
+    }
+
+    // request a score session from the backend
+    // the session token is sent back with the final score
+    // so the backend can verify the run
+    requestSession() {
+        this.session = null;
+
+        fetch(`${this.config.serviceMap.backend}/leaderboard/session`, { method: 'post' })
+        .then(response => response.json())
+        .then(({ token }) => {
+            this.session = token;
+        })
+        .catch(err => console.error(err));
+    }
+
     // reset game
     reset() {
     }
 
     // update game state
     setState(state) {
+        let last = this.state;
+
         this.state = {
             ...this.state,
-            ...{
-                prev: this.state.current
-            },
             ...state,
         };
+
+        this.trackState(last, this.state);
+    }
+
+    // send deaths to analytics
+    trackState(last, next) {
+        if (next.lives < last.lives) {
+            this.analytics.track('death', { lives: next.lives });
+        }
+    }
+
+    // send scene changes to analytics
+    // a run starts when play starts from the menu, and ends when it's won or lost
+    trackScene(from, to) {
+        if (to === 'paused' || from === 'paused') {
+            this.analytics.track(to === 'paused' ? 'pause' : 'resume');
+            return;
+        }
+
+        if (to === 'play' && from === 'menu') {
+            this.analytics.start();
+        }
+
+        this.analytics.track('state_change', { from, to });
+
+        if (to === 'win' || to === 'gameover') {
+            this.analytics.end(this.state.score);
+        }
     }
 
     // request new frame
-    // wraps requestAnimationFrame.
+    // wraps requestAnimationFrame. resumed starts timing over,
+    // so time spent paused or loading isn't played
     // see game/helpers/animationframe.js for more information
     requestFrame(next, resumed) {
-        let now = Date.now();
-        this.frame = {
-            count: requestAnimationFrame(next),
-            time: now,
-            rate: resumed ? 0 : now - this.frame.time,
-            scale: this.screen.scale * this.frame.rate * 0.01
-        };
+        if (resumed) {
+            this.frame.time = performance.now();
+            this.frame.lag = 0;
+        }
+
+        this.frame.id = requestAnimationFrame(next);
     }
 
     // cancel frame
     // wraps cancelAnimationFrame.
     // see game/helpers/animationframe.js for more information
     cancelFrame() {
-        cancelAnimationFrame(this.frame.count);
+        cancelAnimationFrame(this.frame.id);
     }
 
     destroy() {
         // stop game loop and music
-        this.setState({ current: 'stop' })
+        this.stopped = true;
         this.stopPlaylist();
 
+        // send any analytics left in the queue
+        this.analytics.destroy();
+
         // cleanup event listeners
         document.removeEventListener('keydown', this.handleKeyboardInput);
         document.removeEventListener('keyup', this.handleKeyboardInput);
@@ -3,7 +3,8 @@
  * 
  * What it Does:
  *   This file is a basic image sprite it extends the sprite class
- *   and draws an image to the screen
+ *   and draws an image to the screen, between its last two positions
+ *   when it's passed the game's alpha, see render in game/main.js
  * 
  * What to Change:
  *   Add any new methods you want all your
@@ -22,23 +23,26 @@ class ImageSprite extends Sprite {
         this.image = options.image;
     }
 
-    draw() {
+    // ctx defaults to the sprite's own canvas context
+    draw(alpha, ctx = this.ctx) {
+        let { x, y } = this.interpolate(alpha);
+
         // save canvas context
-        this.ctx.save();
+        ctx.save();
 
         // code for flipping image to match direction
         let scaleX = this.direction === 'left' ? -1 : 1;
-        let xPosition = this.direction === 'left' ? -1 * this.x : this.x;
+        let xPosition = this.direction === 'left' ? -1 * x : x;
         let trX = this.direction === 'left' ? this.width : 0;
 
-        this.ctx.translate(trX, 0);
-        this.ctx.scale(scaleX, 1);
+        ctx.translate(trX, 0);
+        ctx.scale(scaleX, 1);
 
         // draw the image to canvas
-        this.ctx.drawImage(this.image, xPosition, this.y, this.width, this.height);
+        ctx.drawImage(this.image, xPosition, y, this.width, this.height);
 
         // restore canvas context
-        this.ctx.restore();
+        ctx.restore();
     }
 }
 
@@ -25,11 +25,14 @@ class ParticleSprite extends Sprite {
         this.hue = randomBetween(60, 0, true);
     }
 
-    draw() {
-        this.ctx.beginPath();
-        this.ctx.arc(this.x >> 0, this.y >> 0, this.r >> 0, 0, 2 * Math.PI, false);
-        this.ctx.fillStyle = `hsla(${this.hue}, 100%, 50%, 0.75)`;
-        this.ctx.fill();
+    // ctx defaults to the sprite's own canvas context
+    draw(alpha, ctx = this.ctx) {
+        let { x, y } = this.interpolate(alpha);
+
+        ctx.beginPath();
+        ctx.arc(x >> 0, y >> 0, this.r >> 0, 0, 2 * Math.PI, false);
+        ctx.fillStyle = `hsla(${this.hue}, 100%, 50%, 0.75)`;
+        ctx.fill();
     }
 }
 
@@ -6,6 +6,13 @@
  *   it implements abilities like move(x, y), speed, direction, and bounds,
  *   centerX and centerY (cx, cy) and radius
  * 
+ *   snapshot and interpolate let sprites be drawn between game updates,
+ *   call snapshot before moving a sprite in an update, and draw it
+ *   where interpolate(alpha) says
+ * 
+ *   z and tags are used by the world, see game/helpers/world.js, which
+ *   calls update(dt) on every sprite added to it, and snapshots them first
+ * 
  * What to Change:
  *   Add any new methods you want all your
  *   game characters that are also sprites to have.
@@ -16,7 +23,7 @@
 import { bounded } from '../utils/baseUtils.js'
 
 class Sprite {
-    constructor({ x, y, width, height, speed, direction, bounds }) {
+    constructor({ x, y, width, height, speed, direction, bounds, z, tags }) {
         // x and y
         this.x = x;
         this.y = y;
@@ -25,6 +32,10 @@ class Sprite {
         this.px = x;
         this.py = y;
 
+        // x and y before the last update, see snapshot
+        this.lx = x;
+        this.ly = y;
+
         // center x and y
         this.cx = x + (width/2);
         this.cy = y + (height/2);
@@ -49,6 +60,12 @@ class Sprite {
         // target
         this.target = { x: 0, y: 0 };
 
+        // drawing order, higher z is drawn on top
+        this.z = z || 0;
+
+        // tags to find the sprite with in the world, eg. ['enemy']
+        this.tags = tags || [];
+
         // bounds
         this.setBounds(bounds);
     }
@@ -82,6 +99,27 @@ class Sprite {
         if (x > 0) { this.direction = 'left'; }
     }
 
+    // move the sprite forward, called by the world every update with
+    // the update's length in milliseconds, update(dt). sprites that
+    // move by themselves override this
+    update() {
+    }
+
+    // remember where the sprite is before an update moves it
+    snapshot() {
+        this.lx = this.x;
+        this.ly = this.y;
+    }
+
+    // get where to draw the sprite, alpha is how far the game
+    // is from the last update to the next, from 0 to 1
+    interpolate(alpha = 1) {
+        return {
+            x: this.lx + (this.x - this.lx) * alpha,
+            y: this.ly + (this.y - this.ly) * alpha
+        };
+    }
+
     moveTo(x = this.target.x, y = this.target.y) {
         this.target = {
             ...this.target,
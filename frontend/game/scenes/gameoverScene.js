@@ -0,0 +1,28 @@
+/**
+ * game/scenes/gameoverScene.js
+ * 
+ * What it Does:
+ *   This file is the game over scene. It ends the run and sends the
+ *   score to the leaderboard. Any key plays again
+ * 
+ * What to Change:
+ *   Add game over code, like a game over banner
+ * 
+ */
+
+import Scene from './scene.js';
+
+class GameoverScene extends Scene {
+    enter() {
+        this.game.endRun();
+    }
+
+    key(type) {
+        // reload to play again
+        if (type === 'keydown') {
+            this.game.load();
+        }
+    }
+}
+
+export default GameoverScene;
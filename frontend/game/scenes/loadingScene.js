@@ -0,0 +1,27 @@
+/**
+ * game/scenes/loadingScene.js
+ * 
+ * What it Does:
+ *   This file is the first scene, while images, sounds, and fonts load
+ *   the loading indicator in index.html is shown until it ends
+ * 
+ * What to Change:
+ *   Add anything to show or do while the game loads
+ * 
+ */
+
+import Scene from './scene.js';
+
+class LoadingScene extends Scene {
+    constructor(game) {
+        super(game);
+        this.transitions = ['menu'];
+    }
+
+    exit() {
+        this.game.overlay.hide('loading');
+        this.game.canvas.style.opacity = 1;
+    }
+}
+
+export default LoadingScene;
@@ -0,0 +1,59 @@
+/**
+ * game/scenes/menuScene.js
+ * 
+ * What it Does:
+ *   This file is the start screen, it shows the game's name, the start
+ *   button, and instructions. A click on the button or any key starts a run
+ * 
+ * What to Change:
+ *   Add menu options, like picking a mode or level
+ * 
+ */
+
+import Scene from './scene.js';
+
+class MenuScene extends Scene {
+    constructor(game) {
+        super(game);
+        this.transitions = ['play'];
+    }
+
+    enter() {
+        const { overlay, config, state } = this.game;
+
+        overlay.setBanner(config.settings.name);
+        overlay.setButton(config.settings.startText);
+        overlay.setInstructions({
+            desktop: config.settings.instructionsDesktop,
+            mobile: config.settings.instructionsMobile
+        });
+
+        overlay.show('stats');
+
+        overlay.setMute(state.muted);
+        overlay.setPause(false);
+    }
+
+    exit() {
+        this.game.overlay.hide(['banner', 'button', 'instructions']);
+    }
+
+    key(type) {
+        if (type === 'keydown') {
+            this.game.startRun();
+        }
+    }
+
+    click(target) {
+        if (target.id === 'button') {
+            this.game.startRun();
+
+            // if defaulting to have sound on by default
+            // double mute() to warmup iphone audio here
+            this.game.mute();
+            this.game.mute();
+        }
+    }
+}
+
+export default MenuScene;
@@ -0,0 +1,47 @@
+/**
+ * game/scenes/pausedScene.js
+ * 
+ * What it Does:
+ *   This file is the pause screen, an overlay scene pushed on top of
+ *   game play. Game play stops updating under it, and is still drawn
+ *   Space or the pause button pops it to resume the game
+ * 
+ * What to Change:
+ *   Add pause menu options, like quitting the run
+ * 
+ */
+
+import Scene from './scene.js';
+
+class PausedScene extends Scene {
+    constructor(game) {
+        super(game);
+        this.overlay = true;
+    }
+
+    enter() {
+        this.game.overlay.setPause(true);
+        this.game.overlay.setBanner('Paused');
+
+        // mute all game sounds
+        this.game.audioCtx.suspend();
+    }
+
+    exit() {
+        this.game.overlay.setPause(false);
+        this.game.overlay.hide('banner');
+
+        // resume game sounds if game not muted
+        if (!this.game.state.muted) {
+            this.game.audioCtx.resume();
+        }
+    }
+
+    key(type, code) {
+        if (type === 'keyup' && code === 'Space') {
+            this.game.pause();
+        }
+    }
+}
+
+export default PausedScene;
@@ -0,0 +1,122 @@
+/**
+ * game/scenes/playScene.js
+ * 
+ * What it Does:
+ *   This file is game play. Its update moves the world's characters
+ *   forward, and moves the player with the player's input, recording
+ *   the input for the run's replay
+ *   Space pauses the game, Enter ends the run
+ * 
+ * What to Change:
+ *   Most game rules go in update, and drawing in draw
+ *   score with this.game.addScore(points), so the run's replay has the points
+ *   the backend plays runs back with backend/src/simulation.js,
+ *   update it too when you change how the player moves
+ * 
+ */
+
+import Scene from './scene.js';
+
+class PlayScene extends Scene {
+    constructor(game) {
+        super(game);
+        this.transitions = ['paused', 'win', 'gameover'];
+
+        this.ticks = 0; // updates since the run started
+    }
+
+    enter() {
+        this.ticks = 0;
+    }
+
+    // keys let go while paused never reach this scene
+    resume() {
+        const { keyboard } = this.game.input;
+        Object.keys(keyboard).forEach((key) => { keyboard[key] = false; });
+    }
+
+    update() {
+        const { input, player, replay, frame, state, sounds } = this.game;
+
+        this.ticks += 1;
+
+        // play background music
+        if (!state.muted && !state.backgroundMusic) {
+            state.backgroundMusic = true;
+            this.game.playback('backgroundMusic', sounds.backgroundMusic, {
+                start: 0,
+                end: sounds.backgroundMusic.duration,
+                loop: true,
+                context: this.game.audioCtx
+            });
+        }
+
+        // remember where every character was, to draw
+        // between updates, and move them forward a step
+        this.game.world.update(frame.step);
+
+        // player bounce
+        let ddy = Math.cos(this.ticks / 5) / 20;
+
+        // move player with keyboard
+        if (input.active === 'keyboard') {
+            let { up, right, down, left } = input.keyboard;
+
+            let dx = (left ? -1 : 0) + (right ? 1 : 0);
+            let dy = (up ? -1 : 0) + (down ? 1 : 0);
+
+            // record the input, and move with it as it's recorded
+            let recorded = replay.record(dx, dy + ddy);
+            player.move(recorded.dx, recorded.dy, frame.scale);
+        }
+
+        if (input.active === 'touch') {
+            let { x, y } = input.touch;
+            let { cx, cy } = player;
+
+            let dx = (x - cx) / (x * 2);
+            let dy = (y - cy) / (y * 2);
+
+            let recorded = replay.record(dx, dy + ddy);
+            player.move(recorded.dx, recorded.dy, frame.scale);
+        }
+
+        // updates without movement input are recorded too
+        if (input.active === 'mouse') {
+            replay.record(0, 0);
+        }
+
+        // the player moved after the world's update
+        this.game.world.moved(player);
+    }
+
+    draw(alpha) {
+        this.game.world.draw(this.game.ctx, alpha);
+    }
+
+    key(type, code) {
+        const { keyboard } = this.game.input;
+        const keys = {
+            ArrowUp: 'up',
+            ArrowRight: 'right',
+            ArrowDown: 'down',
+            ArrowLeft: 'left'
+        };
+
+        if (keys[code]) {
+            keyboard[keys[code]] = type === 'keydown';
+        }
+
+        if (type === 'keyup') {
+            if (code === 'Space') {
+                this.game.pause(); // pause
+            }
+
+            if (code === 'Enter') {
+                this.game.scenes.change('gameover');
+            }
+        }
+    }
+}
+
+export default PlayScene;
@@ -0,0 +1,65 @@
+/**
+ * game/scenes/scene.js
+ * 
+ * What it Does:
+ *   This file is the base class of every scene. A scene is one state
+ *   of the game, like the menu, game play, or game over, with its own
+ *   update, drawing, and input handling
+ * 
+ *   enter(from): called when the scene starts, from is the name of the last scene
+ * 
+ *   exit(to): called when the scene ends, to is the name of the next scene
+ * 
+ *   suspend(overlay) / resume(overlay): called when an overlay scene,
+ *   like paused, is pushed on top of this scene and popped off it again
+ * 
+ *   update(): called every update while this is the top scene
+ * 
+ *   draw(alpha): called every frame, under any overlay scenes
+ * 
+ *   key(type, code) / click(target): input, sent to the top scene only
+ * 
+ * What to Change:
+ *   Extend this class to make a new scene, and add it to the scenes in game/main.js
+ *   list the scenes it can change to in transitions
+ *   set overlay to true for scenes drawn on top of another scene
+ * 
+ * How to Use it:
+ *   class MenuScene extends Scene {
+ *       constructor(game) {
+ *           super(game);
+ *           this.transitions = ['play'];
+ *       }
+ *   }
+ * 
+ */
+
+class Scene {
+    constructor(game) {
+        this.game = game;
+        this.name = ''; // set by the scene manager
+
+        this.transitions = []; // names of the scenes this scene can change or push to
+        this.overlay = false; // overlays are pushed over other scenes
+    }
+
+    // hooks scenes override, their arguments are described above
+
+    enter() {}
+
+    exit() {}
+
+    suspend() {}
+
+    resume() {}
+
+    update() {}
+
+    draw() {}
+
+    key() {}
+
+    click() {}
+}
+
+export default Scene;
@@ -0,0 +1,28 @@
+/**
+ * game/scenes/winScene.js
+ * 
+ * What it Does:
+ *   This file is the scene for when the player wins. Like game over,
+ *   it ends the run and sends the score. Any key plays again
+ * 
+ * What to Change:
+ *   Add win code, like a win banner or moving on to the next level
+ * 
+ */
+
+import Scene from './scene.js';
+
+class WinScene extends Scene {
+    enter() {
+        this.game.endRun();
+    }
+
+    key(type) {
+        // reload to play again
+        if (type === 'keydown') {
+            this.game.load();
+        }
+    }
+}
+
+export default WinScene;
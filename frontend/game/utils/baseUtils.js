@@ -5,6 +5,10 @@
  *   This file contains utilities for the game
  * 
  *   randomBetween: get a numbers a min and a max, optionally ask for an int
+ *   and pass a random number generator, like one from seededRandom
+ * 
+ *   seededRandom: make a random number generator that always gives the
+ *   same numbers for the same seed. useful for runs that can be replayed
  * 
  *   bounded: apply a lower and upper bound to a number
  *   useful for add limits to AI character movements
@@ -28,8 +32,8 @@
  */
 
 // get random number between min and max
-const randomBetween = (min, max, type) => {
-    const rand = Math.random() * (max - min) + min;
+const randomBetween = (min, max, type, random = Math.random) => {
+    const rand = random() * (max - min) + min;
 
     if (type && type === 'int') {
         return Math.round(rand);
@@ -38,6 +42,18 @@ const randomBetween = (min, max, type) => {
     return rand;
 }
 
+// make a seeded random number generator (mulberry32)
+// returns a function that works like Math.random
+const seededRandom = (seed) => {
+    let t = seed >>> 0;
+    return () => {
+        t = (t + 0x6D2B79F5) >>> 0;
+        let r = Math.imul(t ^ (t >>> 15), t | 1);
+        r ^= r + Math.imul(r ^ (r >>> 7), r | 61);
+        return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 // apply a lower and upper bound to a number
 const bounded = (n, min, max) => {
     return [n]
@@ -134,6 +150,7 @@ export {
     findIn,
     hexToRgbA,
     randomBetween,
+    seededRandom,
     hashCode,
     throttled
 };
\ No newline at end of file
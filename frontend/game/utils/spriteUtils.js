@@ -16,7 +16,31 @@
  * 
  *   collideDistance: detect a collision based on distance
  * 
- *   collisionsWith: check a list or object of entities against one entity for a collision
+ *   detectDistanceCollisions: check a list or object of entities against one entity for a collision
+ *   entities can be a spatial hash too, see game/helpers/spatialHash.js, then only nearby entities are checked
+ * 
+ *   collideBoxes: detect a collision between two boxes, like sprites, that aren't rotated
+ * 
+ *   collidePolygons: detect a collision between two polygons, like
+ *   rotated sprites, with the separating axis test
+ * 
+ *   collideCircleBox: detect a collision between a circle and a box
+ * 
+ *   the collide functions return null when there's no collision, or the
+ *   contact normal, the direction from the first shape to the second,
+ *   and the penetration depth, how far they overlap along the normal
+ *   eg. { normal: { x: 1, y: 0 }, depth: 4 }
+ * 
+ *   pushApart: move two sprites out of a collision
+ *   eg. pushApart(player, wall, collideBoxes(player, wall), 1)
+ * 
+ *   getBox: get the box of a sprite, as { left, top, right, bottom }
+ * 
+ *   getPolygon: get the corners of a sprite, turned by its rotation
+ * 
+ *   collisionBox: get the box around everything an entity's collisions test
+ * 
+ *   nearbyEntities: get the entities near an entity from a spatial hash, or a list as it is
  * 
  * What to Change:
  *   Add any utility methods that could be used by a sprite
@@ -26,6 +50,7 @@
 
 import {
     randomBetween,
+    bounded,
     isBounded,
     findIn
 } from './baseUtils.js';
@@ -106,11 +131,245 @@ const collideDistance = (a, b) => {
 }
 
 const detectDistanceCollisions = (entity, entities) => {
-    return findIn(entities, (ent) => {
+    return findIn(nearbyEntities(entity, entities), (ent) => {
         return collideDistance(entity, ent);
     })
 }
 
+// get the box of a sprite, or a box as it is
+const getBox = (entity) => {
+    if (typeof entity.left === 'number') { return entity; }
+
+    return {
+        left: entity.x,
+        top: entity.y,
+        right: entity.x + entity.width,
+        bottom: entity.y + entity.height
+    };
+}
+
+// get the center of a circle, sprites are
+// centered on cx and cy, points on x and y
+const getCenter = (entity) => {
+    return {
+        x: typeof entity.cx === 'number' ? entity.cx : entity.x,
+        y: typeof entity.cy === 'number' ? entity.cy : entity.y
+    };
+}
+
+// get the corners of a sprite in order, turned by its rotation
+// in radians around its center. Lists of points and entities
+// with a list of points are polygons already
+const getPolygon = (entity) => {
+    if (Array.isArray(entity)) { return entity; }
+    if (Array.isArray(entity.points)) { return entity.points; }
+
+    let { left, top, right, bottom } = getBox(entity);
+    let corners = [
+        { x: left, y: top },
+        { x: right, y: top },
+        { x: right, y: bottom },
+        { x: left, y: bottom }
+    ];
+
+    let rotation = entity.rotation || 0;
+    if (!rotation) { return corners; }
+
+    let center = { x: (left + right) / 2, y: (top + bottom) / 2 };
+    let cos = Math.cos(rotation);
+    let sin = Math.sin(rotation);
+
+    return corners.map(({ x, y }) => ({
+        x: center.x + (x - center.x) * cos - (y - center.y) * sin,
+        y: center.y + (x - center.x) * sin + (y - center.y) * cos
+    }));
+}
+
+// average of a polygon's points
+const getCentroid = (points) => {
+    let sum = points.reduce((total, p) => ({ x: total.x + p.x, y: total.y + p.y }), { x: 0, y: 0 });
+    return { x: sum.x / points.length, y: sum.y / points.length };
+}
+
+// smallest and largest position of a polygon's points along an axis
+const project = (points, axis) => {
+    let dots = points.map(p => p.x * axis.x + p.y * axis.y);
+    return { min: Math.min(...dots), max: Math.max(...dots) };
+}
+
+// axes to test a polygon on, one across each edge
+const getAxes = (points) => {
+    return points.map((p, i) => {
+        let next = points[(i + 1) % points.length];
+        let ex = next.x - p.x;
+        let ey = next.y - p.y;
+        let length = Math.sqrt(ex * ex + ey * ey) || 1;
+
+        return { x: -ey / length, y: ex / length };
+    });
+}
+
+// detect collision between two boxes that aren't rotated
+// they're pushed apart along the axis they overlap least on
+const collideBoxes = (a, b) => {
+    let boxA = getBox(a);
+    let boxB = getBox(b);
+
+    let overlapX = Math.min(boxA.right, boxB.right) - Math.max(boxA.left, boxB.left);
+    let overlapY = Math.min(boxA.bottom, boxB.bottom) - Math.max(boxA.top, boxB.top);
+
+    if (!(overlapX > 0 && overlapY > 0)) { return null; }
+
+    // compare centers to see which side b is on
+    let dx = (boxB.left + boxB.right) - (boxA.left + boxA.right);
+    let dy = (boxB.top + boxB.bottom) - (boxA.top + boxA.bottom);
+
+    return overlapX < overlapY ?
+    { normal: { x: dx < 0 ? -1 : 1, y: 0 }, depth: overlapX } :
+    { normal: { x: 0, y: dy < 0 ? -1 : 1 }, depth: overlapY };
+}
+
+// detect collision between two convex polygons, or sprites turned by
+// their rotation, with the separating axis test. Polygons collide
+// when they overlap along every axis across their edges
+const collidePolygons = (a, b) => {
+    let pointsA = getPolygon(a);
+    let pointsB = getPolygon(b);
+
+    let normal = null;
+    let depth = Infinity;
+
+    let axes = [...getAxes(pointsA), ...getAxes(pointsB)];
+    for (let axis of axes) {
+        let projA = project(pointsA, axis);
+        let projB = project(pointsB, axis);
+
+        let overlap = Math.min(projA.max, projB.max) - Math.max(projA.min, projB.min);
+
+        // a gap along any axis means no collision
+        if (!(overlap > 0)) { return null; }
+
+        // one inside the other along this axis, push
+        // far enough to get out past the nearer end
+        if ((projA.min > projB.min && projA.max < projB.max) ||
+            (projB.min > projA.min && projB.max < projA.max)) {
+            overlap += Math.min(Math.abs(projA.min - projB.min), Math.abs(projA.max - projB.max));
+        }
+
+        if (overlap < depth) {
+            depth = overlap;
+            normal = axis;
+        }
+    }
+
+    // point the normal from a to b
+    let centerA = getCentroid(pointsA);
+    let centerB = getCentroid(pointsB);
+    if ((centerB.x - centerA.x) * normal.x + (centerB.y - centerA.y) * normal.y < 0) {
+        normal = { x: -normal.x, y: -normal.y };
+    }
+
+    return { normal, depth };
+}
+
+// detect collision between a circle, with a radius, and a box that isn't rotated
+const collideCircleBox = (circle, box) => {
+    let center = getCenter(circle);
+    let { left, top, right, bottom } = getBox(box);
+    let radius = circle.radius;
+
+    // closest point of the box to the circle's center
+    let x = bounded(center.x, left, right);
+    let y = bounded(center.y, top, bottom);
+
+    let dx = x - center.x;
+    let dy = y - center.y;
+    let distance = Math.sqrt(dx * dx + dy * dy);
+
+    if (!(distance < radius)) { return null; }
+
+    if (distance > 0) {
+        return {
+            normal: { x: dx / distance, y: dy / distance },
+            depth: radius - distance
+        };
+    }
+
+    // the center is inside the box, push
+    // the circle out the nearest side
+    let sides = [
+        { normal: { x: 1, y: 0 }, depth: center.x - left + radius },
+        { normal: { x: -1, y: 0 }, depth: right - center.x + radius },
+        { normal: { x: 0, y: 1 }, depth: center.y - top + radius },
+        { normal: { x: 0, y: -1 }, depth: bottom - center.y + radius }
+    ];
+
+    return sides.reduce((nearest, side) => side.depth < nearest.depth ? side : nearest);
+}
+
+// move an entity by dx and dy, sprites stay in their bounds
+const moveBy = (entity, dx, dy) => {
+    if (typeof entity.setX === 'function') {
+        if (dx !== 0) { entity.setX(entity.x + dx); }
+        if (dy !== 0) { entity.setY(entity.y + dy); }
+        return;
+    }
+
+    entity.x += dx;
+    entity.y += dy;
+    if (typeof entity.cx === 'number') { entity.cx += dx; }
+    if (typeof entity.cy === 'number') { entity.cy += dy; }
+}
+
+// move a and b out of a collision from one of the collide functions
+// weight is the share of the push a takes, 0.5 moves both
+// the same, 1 only moves a, like a player against a wall
+const pushApart = (a, b, collision, weight = 0.5) => {
+    if (!collision) { return; }
+
+    let { normal, depth } = collision;
+
+    moveBy(a, -normal.x * depth * weight, -normal.y * depth * weight);
+    moveBy(b, normal.x * depth * (1 - weight), normal.y * depth * (1 - weight));
+}
+
+// get the box around everything collisions test, the sprite's box,
+// its corners when it's rotated, and the circles collideDistance
+// and collidesWith test. returns null for entities without a position
+const collisionBox = (entity) => {
+    if (!entity || typeof entity.x !== 'number' || typeof entity.y !== 'number') { return null; }
+
+    let { x, y, width = 0, height = 0, radius = 0 } = entity;
+    let cx = typeof entity.cx === 'number' ? entity.cx : x;
+    let cy = typeof entity.cy === 'number' ? entity.cy : y;
+
+    let box = {
+        left: Math.min(x, x - radius, cx - radius),
+        top: Math.min(y, y - radius, cy - radius),
+        right: Math.max(x + width, x + radius, cx + radius),
+        bottom: Math.max(y + height, y + radius, cy + radius)
+    };
+
+    if (entity.rotation || Array.isArray(entity.points)) {
+        getPolygon(entity).forEach((p) => {
+            box.left = Math.min(box.left, p.x);
+            box.top = Math.min(box.top, p.y);
+            box.right = Math.max(box.right, p.x);
+            box.bottom = Math.max(box.bottom, p.y);
+        });
+    }
+
+    return box;
+}
+
+// get the entities that could collide with an entity
+// a spatial hash only gives the entities near it
+const nearbyEntities = (entity, entities) => {
+    return entities && typeof entities.nearby === 'function' ?
+    entities.nearby(entity) :
+    entities;
+}
+
 
 export {
     inBox,
@@ -119,5 +378,13 @@ export {
     pickLocationAwayFrom,
     pickLocationAwayFromList,
     collideDistance,
-    detectDistanceCollisions
+    detectDistanceCollisions,
+    collideBoxes,
+    collidePolygons,
+    collideCircleBox,
+    pushApart,
+    getBox,
+    getPolygon,
+    collisionBox,
+    nearbyEntities
 };
\ No newline at end of file